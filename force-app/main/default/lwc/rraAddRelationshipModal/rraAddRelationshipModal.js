@@ -0,0 +1,102 @@
+import { LightningElement, api, track } from "lwc";
+
+// Form for a relationship research missed.  The parent saves it (see RRAClient.addRelationship)
+// from the "save" event and closes the modal, or calls setSaving(false) if saving fails.
+export default class RraAddRelationshipModal extends LightningElement {
+  @api isOpen = false;
+  // Described object types (see RRAClient.describeObjectTypes), keyed by record type; the record
+  // lookup offers these
+  @api objectTypes = {};
+
+  @track isSaving = false;
+
+  entityName = "";
+  entityType = "organization";
+  predicate = "";
+  note = "";
+  url = "";
+
+  // Object searched by the record lookup; until picked, one suited to the entity type
+  selectedObjectApiName = null;
+  linkedRecordId = null;
+
+  entityTypeOptions = [
+    { label: "Organization", value: "organization" },
+    { label: "Person", value: "person" }
+  ];
+
+  get objectApiName() {
+    return this.selectedObjectApiName ?? (this.entityType === "person" ? "Contact" : "Account");
+  }
+
+  // The default object is offered until the object types have been described
+  get objectOptions() {
+    const options = new Map(
+      Object.values(this.objectTypes ?? {}).map((type) => [type.apiName, type.label])
+    );
+    if (!options.has(this.objectApiName)) {
+      options.set(this.objectApiName, this.objectApiName);
+    }
+    return [...options]
+      .map(([value, label]) => ({ label, value }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  get saveButtonLabel() {
+    return this.isSaving ? "Saving..." : "Save";
+  }
+
+  handleFieldChange(event) {
+    this[event.target.dataset.field] = event.detail.value;
+  }
+
+  handleObjectChange(event) {
+    this.selectedObjectApiName = event.detail.value;
+    this.linkedRecordId = null;
+  }
+
+  handleRecordChange(event) {
+    this.linkedRecordId = event.detail.recordId ?? null;
+  }
+
+  handleSave() {
+    const inputs = [...this.template.querySelectorAll("[data-field]")];
+    const isValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+    if (!isValid) return;
+
+    this.isSaving = true;
+    this.dispatchEvent(
+      new CustomEvent("save", {
+        detail: {
+          entityName: this.entityName.trim(),
+          entityType: this.entityType,
+          predicate: this.predicate.trim(),
+          linkedRecordId: this.linkedRecordId,
+          note: this.note.trim(),
+          url: this.url.trim()
+        }
+      })
+    );
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent("close"));
+  }
+
+  @api
+  reset() {
+    this.isSaving = false;
+    this.entityName = "";
+    this.entityType = "organization";
+    this.predicate = "";
+    this.note = "";
+    this.url = "";
+    this.selectedObjectApiName = null;
+    this.linkedRecordId = null;
+  }
+
+  @api
+  setSaving(value) {
+    this.isSaving = value;
+  }
+}
@@ -0,0 +1,120 @@
+import { rowActionsFor, sortRows, toNodeData, toTableRows } from "../relationshipTable";
+
+const entities = [
+  {
+    uuid: "u-1",
+    entityName: "Globex",
+    entityType: "organization",
+    predicate: "partner",
+    source: "web",
+    recordId: "001000000000001AAA",
+    recordType: "Account",
+    confidenceScore: 0.9,
+    importanceScore: 0.4,
+    citation: "Press release",
+    citationURL: "https://example.com/globex"
+  },
+  {
+    uuid: "u-2",
+    entityName: "Jane Doe",
+    entityType: "person",
+    predicate: "board member",
+    source: "crm",
+    recordId: "003000000000001AAA",
+    importanceScore: 0.8
+  },
+  { uuid: "u-3", entityName: "Initech", predicate: "supplier", source: "user" },
+  { uuid: "u-4", entityName: "", predicate: "invalid" }
+];
+
+describe("relationshipTable", () => {
+  it("lists every valid entity with its columns", () => {
+    const rows = toTableRows(entities);
+
+    expect(rows.map((r) => r.key)).toEqual(["0", "1", "2"]);
+    expect(rows[0]).toEqual(
+      expect.objectContaining({
+        entityName: "Globex",
+        entityTypeLabel: "Organization",
+        sourceLabel: "Web",
+        crmStatus: "Possible match",
+        confidenceScore: 0.9,
+        citationLabel: "Press release"
+      })
+    );
+    expect(rows[1].crmStatus).toBe("CRM record");
+    expect(rows[2]).toEqual(
+      expect.objectContaining({ sourceLabel: "Manual", crmStatus: "Not in CRM" })
+    );
+  });
+
+  it("reads scores the graph reads and links only http and https citations", () => {
+    const [row] = toTableRows([
+      {
+        entityName: "Hooli",
+        predicate: "competitor",
+        confidenceScore: "0.8",
+        citation: "Notes",
+        citationURL: ["javascript", "alert(1)"].join(":")
+      }
+    ]);
+
+    expect(row.confidenceScore).toBe(0.8);
+    expect(row.citationURL).toBeUndefined();
+    expect(row.citationLabel).toBe("Notes");
+    expect(
+      toTableRows([{ entityName: "Hooli", predicate: "competitor", confidenceScore: "0.8" }], {
+        filters: { minConfidence: 0.5 }
+      })
+    ).toHaveLength(1);
+  });
+
+  it("applies the graph filters and the search term", () => {
+    expect(toTableRows(entities, { filters: { entityType: "person" } }).map((r) => r.key)).toEqual([
+      "1"
+    ]);
+    expect(toTableRows(entities, { searchTerm: " SUPPL " }).map((r) => r.key)).toEqual(["2"]);
+    expect(toTableRows(entities, { searchTerm: "press" }).map((r) => r.key)).toEqual(["0"]);
+  });
+
+  it("narrows the rows with the column filters on top of the graph filters", () => {
+    const keys = (options) => toTableRows(entities, options).map((r) => r.key);
+
+    expect(keys({ columnFilters: { entityType: "organization" } })).toEqual(["0", "2"]);
+    expect(keys({ columnFilters: { source: "user" } })).toEqual(["2"]);
+    expect(keys({ columnFilters: { crmStatus: "Possible match" } })).toEqual(["0"]);
+    expect(keys({ filters: { source: "web" }, columnFilters: { entityType: "person" } })).toEqual(
+      []
+    );
+    expect(keys({ columnFilters: { source: "crm", crmStatus: "CRM record" } })).toEqual(["1"]);
+  });
+
+  it("sorts on a column with blank values last", () => {
+    const rows = toTableRows(entities);
+    const keys = (field, direction) => sortRows(rows, field, direction).map((r) => r.key);
+
+    expect(keys("importanceScore", "desc")).toEqual(["1", "0", "2"]);
+    expect(keys("importanceScore", "asc")).toEqual(["0", "1", "2"]);
+    expect(keys("entityName", "asc")).toEqual(["0", "2", "1"]);
+  });
+
+  it("offers the actions of the entity's graph node", () => {
+    const names = (row) => rowActionsFor(row).map((a) => a.name);
+
+    expect(names({ recordId: "001", source: "web" })).toEqual(["open", "confirm"]);
+    expect(names({ recordId: "003", source: "crm" })).toEqual(["open"]);
+    expect(names({ source: "web" })).toEqual(["create"]);
+  });
+
+  it("builds node data for the shared handlers", () => {
+    expect(toNodeData(entities[0])).toEqual(
+      expect.objectContaining({
+        id: "Globex",
+        label: "Globex",
+        recordId: "001000000000001AAA",
+        recordType: "Account",
+        relationships: [{ uuid: "u-1", predicate: "partner" }]
+      })
+    );
+  });
+});
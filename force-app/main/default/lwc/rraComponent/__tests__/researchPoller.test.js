@@ -0,0 +1,53 @@
+import { ResearchPoller } from "../researchPoller";
+
+function fakeTimers() {
+  const timers = new Map();
+  let nextId = 1;
+  return {
+    timers,
+    setTimer: jest.fn((callback, ms) => {
+      timers.set(nextId, { callback, ms });
+      return nextId++;
+    }),
+    clearTimer: jest.fn((id) => timers.delete(id)),
+    // Runs the pending timer as if it fired
+    async fire() {
+      const [[id, { callback }]] = [...timers];
+      timers.delete(id);
+      await callback();
+    }
+  };
+}
+
+describe("ResearchPoller", () => {
+  it("polls again while the poll resolves to true", async () => {
+    const clock = fakeTimers();
+    const poll = jest.fn().mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const poller = new ResearchPoller(poll, { interval: 5000, ...clock });
+
+    poller.schedule();
+    expect(clock.setTimer).toHaveBeenLastCalledWith(expect.any(Function), 5000);
+
+    await clock.fire();
+    expect(poll).toHaveBeenCalledTimes(1);
+    expect(poller.isScheduled).toBe(true);
+
+    await clock.fire();
+    expect(poll).toHaveBeenCalledTimes(2);
+    expect(poller.isScheduled).toBe(false);
+    expect(clock.timers.size).toBe(0);
+  });
+
+  it("keeps at most one poll pending and cancels it", () => {
+    const clock = fakeTimers();
+    const poller = new ResearchPoller(jest.fn(), { interval: 10, ...clock });
+
+    poller.schedule();
+    poller.schedule();
+    expect(clock.timers.size).toBe(1);
+
+    poller.cancel();
+    expect(clock.timers.size).toBe(0);
+    expect(poller.isScheduled).toBe(false);
+  });
+});
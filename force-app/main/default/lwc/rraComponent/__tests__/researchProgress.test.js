@@ -0,0 +1,54 @@
+import { describeProgress, formatElapsed } from "../researchProgress";
+
+const progress = {
+  recordId: "001000000000001",
+  startedAt: 1000,
+  serverTime: 96000,
+  stages: [
+    { key: "WebSearch", status: "DONE", startedAt: 1000, completedAt: 31000, resultCount: 12 },
+    {
+      key: "EntityMatching",
+      status: "RUNNING",
+      startedAt: 31000,
+      resultCount: 12,
+      processedCount: 5
+    },
+    { key: "CrossSourceConsolidation", status: "PENDING" }
+  ]
+};
+
+describe("researchProgress", () => {
+  it("formats elapsed times", () => {
+    expect(formatElapsed(0)).toBe("0:00");
+    expect(formatElapsed(95500)).toBe("1:35");
+    expect(formatElapsed(3725000)).toBe("1:02:05");
+    expect(formatElapsed(-500)).toBe("0:00");
+  });
+
+  it("describes the stage in flight with the last completed result", () => {
+    const view = describeProgress(progress, 96000);
+
+    expect(view.headline).toBe("12 candidate entities found, matching against CRM…");
+    expect(view.elapsed).toBe("1:35");
+    expect(view.steps.map((s) => [s.label, s.detail, s.className])).toEqual([
+      [
+        "Searching the web",
+        "12 candidate entities found · 0:30",
+        "slds-progress__item slds-is-completed"
+      ],
+      ["Matching against CRM", "5 of 12 checked · 1:05", "slds-progress__item slds-is-active"],
+      ["Consolidating web and CRM results", "", "slds-progress__item"]
+    ]);
+  });
+
+  it("falls back to a starting headline and raw keys for unknown stages", () => {
+    const view = describeProgress(
+      { startedAt: 1000, stages: [{ key: "SomethingNew", status: "PENDING" }] },
+      2000
+    );
+
+    expect(view.headline).toBe("Starting research…");
+    expect(view.steps[0].label).toBe("SomethingNew");
+    expect(describeProgress(null, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  RESEARCH_STATES,
+  describeResearchState,
+  researchStateOf,
+  stageFailures
+} from "../researchState";
+import { parseEnvelope } from "c/rraGraph";
+
+function stateOf(relationshipJson, diagnostics) {
+  const record = { RelationshipJson__c: relationshipJson, Diagnostics__c: diagnostics };
+  return researchStateOf({ record, ...parseEnvelope(relationshipJson) });
+}
+
+const envelope = (relatedEntities) =>
+  JSON.stringify({ schemaVersion: "2", anchorEntity: { entityName: "Acme" }, relatedEntities });
+
+describe("researchState", () => {
+  it("tells never researched, empty, corrupt, partial and complete research apart", () => {
+    expect(researchStateOf({ record: [] })).toBe(RESEARCH_STATES.NOT_RESEARCHED);
+    expect(researchStateOf({ record: { RelationshipJson__c: null } })).toBe(
+      RESEARCH_STATES.NOT_RESEARCHED
+    );
+    expect(stateOf(envelope([]), "{}")).toBe(RESEARCH_STATES.EMPTY);
+    expect(stateOf("{broken", "{}")).toBe(RESEARCH_STATES.CORRUPT);
+    expect(stateOf(envelope([{ entityName: "Globex" }]), "{}")).toBe(RESEARCH_STATES.CORRUPT);
+
+    const related = envelope([{ entityName: "Globex", predicate: "partner" }]);
+    expect(stateOf(related, "{}")).toBe(RESEARCH_STATES.COMPLETE);
+    expect(stateOf(related, '{"WebResearch":{"error":"Timed out"}}')).toBe(RESEARCH_STATES.PARTIAL);
+  });
+
+  it("lists failed stages from the diagnostics", () => {
+    const diagnostics = JSON.stringify({
+      WebResearch: { error: "Timed out" },
+      CrmExtraction: { insightsCount: 3 },
+      Custom: { error: "Oops" }
+    });
+
+    expect(stageFailures(diagnostics)).toEqual([
+      { key: "WebResearch", label: "Web research", error: "Timed out" },
+      { key: "Custom", label: "Custom", error: "Oops" }
+    ]);
+    expect(stageFailures("not json")).toEqual([]);
+    expect(stageFailures(null)).toEqual([]);
+  });
+
+  it("describes each state", () => {
+    expect(describeResearchState(RESEARCH_STATES.COMPLETE)).toBeNull();
+    expect(
+      describeResearchState(RESEARCH_STATES.NOT_RESEARCHED, { anchorLabel: "account" }).message
+    ).toContain("this account");
+    expect(describeResearchState(RESEARCH_STATES.NOT_RESEARCHED).canAddRelationship).toBe(true);
+    expect(describeResearchState(RESEARCH_STATES.EMPTY).canAddRelationship).toBe(true);
+
+    const corrupt = describeResearchState(RESEARCH_STATES.CORRUPT, { diagnosticsJson: "{}" });
+    expect(corrupt).toEqual(
+      expect.objectContaining({ variant: "error", canRetry: true, showDiagnostics: true })
+    );
+
+    const partial = describeResearchState(RESEARCH_STATES.PARTIAL, {
+      diagnosticsJson: '{"CrmExtraction":{"error":"No access"}}'
+    });
+    expect(partial.variant).toBe("warning");
+    expect(partial.failures).toEqual([
+      { key: "CrmExtraction", label: "CRM extraction", error: "No access" }
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+// Table view of a research envelope, the alternative to the graph: one row per related entity, not
+// combined by identity resolution as graph nodes are, and not capped by the graph's node limit.
+// The graph filters apply (see GraphDataBuilder.matchesFilters), plus the table's own column
+// filters and a free-text search.
+
+import { GraphDataBuilder, RraGraph, crmStatusOf, safeUrl, toScore } from "c/rraGraph";
+
+const ENTITY_TYPE_LABELS = { person: "Person", organization: "Organization" };
+
+// Row actions, matching the buttons of the entity detail panel (see rraEntityDetailPanel)
+export function rowActionsFor(row) {
+  if (!row.recordId) return [{ label: "Create record", name: "create" }];
+
+  const actions = [{ label: "Open record", name: "open" }];
+  if (row.source === "web") {
+    actions.push({ label: row.isCrmConfirmed ? "Review match" : "Confirm match", name: "confirm" });
+  }
+  return actions;
+}
+
+// lightning-datatable columns; every column sorts
+export const COLUMNS = [
+  { label: "Entity", fieldName: "entityName", sortable: true },
+  { label: "Type", fieldName: "entityTypeLabel", sortable: true, initialWidth: 120 },
+  { label: "Relationship", fieldName: "predicate", sortable: true, wrapText: true },
+  { label: "Source", fieldName: "sourceLabel", sortable: true, initialWidth: 100 },
+  { label: "CRM Match", fieldName: "crmStatus", sortable: true, initialWidth: 130 },
+  { label: "Confidence", fieldName: "confidenceScore", type: "percent", sortable: true },
+  { label: "Importance", fieldName: "importanceScore", type: "percent", sortable: true },
+  {
+    label: "Citation",
+    fieldName: "citationURL",
+    type: "url",
+    sortable: true,
+    typeAttributes: { label: { fieldName: "citationLabel" }, target: "_blank" }
+  },
+  {
+    type: "action",
+    typeAttributes: { rowActions: (row, done) => done(rowActionsFor(row)) }
+  }
+];
+
+// Pickers above the table, narrowing it on one column each without changing the graph filters;
+// "all" doesn't filter
+export const DEFAULT_COLUMN_FILTERS = Object.freeze({
+  entityType: "all",
+  source: "all",
+  crmStatus: "all"
+});
+
+export const COLUMN_FILTER_OPTIONS = Object.freeze({
+  entityType: [
+    { label: "All", value: "all" },
+    ...Object.entries(ENTITY_TYPE_LABELS).map(([value, label]) => ({ label, value }))
+  ],
+  source: [
+    { label: "All", value: "all" },
+    ...Object.entries(RraGraph.SOURCE_LABELS).map(([value, label]) => ({ label, value }))
+  ],
+  crmStatus: [
+    { label: "All", value: "all" },
+    ...["CRM record", "Possible match", "Not in CRM"].map((status) => ({
+      label: status,
+      value: status
+    }))
+  ]
+});
+
+// Rows for the related entities that pass `filters` and `columnFilters` and contain `searchTerm`
+// in any text column.  Each row's key is the entity's index in `entities`.
+export function toTableRows(entities, { filters, columnFilters, searchTerm } = {}) {
+  const term = (searchTerm ?? "").trim().toLowerCase();
+  const { entityType, source, crmStatus } = { ...DEFAULT_COLUMN_FILTERS, ...columnFilters };
+
+  return (entities ?? [])
+    .map((entity, i) => ({ entity, key: `${i}` }))
+    .filter(({ entity }) => GraphDataBuilder._isValidRelated(entity))
+    .filter(({ entity }) => GraphDataBuilder.matchesFilters(entity, filters))
+    .filter(
+      ({ entity }) =>
+        // The graph's source and entity type filters read the column the same way
+        GraphDataBuilder.matchesFilters(entity, { entityType, source, showDismissed: true }) &&
+        (crmStatus === "all" || crmStatusOf(entity) === crmStatus)
+    )
+    .map(({ entity, key }) => ({
+      key,
+      entityName: entity.entityName.trim(),
+      entityTypeLabel: ENTITY_TYPE_LABELS[entity.entityType?.toLowerCase()] ?? entity.entityType,
+      predicate: entity.predicate.trim(),
+      source: entity.source,
+      sourceLabel: RraGraph.SOURCE_LABELS[entity.source] ?? RraGraph.SOURCE_LABELS.web,
+      recordId: entity.recordId,
+      isCrmConfirmed: !!entity.isCrmConfirmed,
+      crmStatus: crmStatusOf(entity),
+      confidenceScore: toScore(entity.confidenceScore),
+      importanceScore: toScore(entity.importanceScore),
+      citationURL: safeUrl(entity.citationURL),
+      citationLabel: entity.citation || entity.citationURL
+    }))
+    .filter(
+      (row) =>
+        !term ||
+        [row.entityName, row.entityTypeLabel, row.predicate, row.sourceLabel, row.crmStatus]
+          .concat(row.citationLabel ?? [])
+          .some((text) => text?.toLowerCase().includes(term))
+    );
+}
+
+// Rows sorted on one column; blank values sort last in either direction
+export function sortRows(rows, fieldName, direction = "asc") {
+  const sign = direction === "desc" ? -1 : 1;
+  const isBlankValue = (v) => v === undefined || v === null || v === "";
+
+  return [...rows].sort((a, b) => {
+    const x = a[fieldName];
+    const y = b[fieldName];
+    if (isBlankValue(x) || isBlankValue(y)) return isBlankValue(x) - isBlankValue(y);
+    if (typeof x === "number" && typeof y === "number") return sign * (x - y);
+    return sign * String(x).localeCompare(String(y), undefined, { sensitivity: "base" });
+  });
+}
+
+// Graph node data for a related entity, for the handlers shared with the graph (create record,
+// confirm match, open record)
+export function toNodeData(entity) {
+  const name = entity.entityName.trim();
+  return {
+    id: name,
+    label: entity.canonicalName?.trim() || name,
+    entityType: entity.entityType || "organization",
+    recordId: entity.recordId || undefined,
+    recordType: entity.recordType || undefined,
+    isCrmConfirmed: !!entity.isCrmConfirmed,
+    source: entity.source || undefined,
+    predicate: entity.predicate.trim(),
+    uuid: entity.uuid || undefined,
+    context: entity.context || undefined,
+    citation: entity.citation || undefined,
+    citationURL: safeUrl(entity.citationURL),
+    relationships: [{ uuid: entity.uuid || undefined, predicate: entity.predicate.trim() }]
+  };
+}
@@ -0,0 +1,39 @@
+// Repeats a poll while research is in flight: poll() runs `interval` ms after schedule() and is
+// scheduled again for as long as it resolves to true.  The timer functions are passed in, so the
+// component doesn't start timers itself and tests can drive the poller.
+
+export class ResearchPoller {
+  timer = null;
+
+  constructor(poll, { interval, setTimer, clearTimer }) {
+    this.poll = poll;
+    this.interval = interval;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+  }
+
+  get isScheduled() {
+    return this.timer !== null;
+  }
+
+  schedule() {
+    this.cancel();
+    const { setTimer } = this;
+    this.timer = setTimer(() => this.run(), this.interval);
+  }
+
+  cancel() {
+    if (this.timer !== null) {
+      const { clearTimer } = this;
+      clearTimer(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    this.timer = null;
+    if (await this.poll()) {
+      this.schedule();
+    }
+  }
+}
@@ -0,0 +1,128 @@
+// Presentation of research run progress as published by RRAProgress (see
+// RRAClient.getResearchProgress):
+//
+//   { recordId, startedAt, serverTime, stages: [{ key, status, startedAt, completedAt,
+//     resultCount, processedCount }] }
+//
+// Stage keys match the RRADiagnostics keys written by each pipeline stage.
+
+// label: shown for the stage in the stepper
+// result(n): summary of a stage's resultCount
+// processed(p, n): optional summary of how far a running stage has worked through its results
+export const STAGES = Object.freeze({
+  WebSearch: {
+    label: "Searching the web",
+    result: (n) => `${n} candidate ${plural(n, "entity", "entities")} found`
+  },
+  "DeepWebResearch.Stage1": {
+    label: "Discovering related entities",
+    result: (n) => `${n} candidate ${plural(n, "entity", "entities")} found`
+  },
+  "DeepWebResearch.Stage2": {
+    label: "Researching relationships in depth",
+    result: (n) => `${n} ${plural(n, "entity", "entities")} researched`
+  },
+  "DeepWebResearch.Stage3": {
+    label: "Refining web results",
+    result: (n) => `${n} ${plural(n, "relationship", "relationships")} kept`
+  },
+  EntityMatching: {
+    label: "Matching against CRM",
+    result: (n) => `${n} candidate ${plural(n, "entity", "entities")} checked`,
+    processed: (p, n) => `${p} of ${n} checked`
+  },
+  ContinueResearch: {
+    label: "Merging with previous research",
+    result: (n) => `${n} ${plural(n, "relationship", "relationships")} after merging`
+  },
+  CrmExtraction: {
+    label: "Extracting CRM relationships",
+    result: (n) => `${n} CRM ${plural(n, "relationship", "relationships")} found`
+  },
+  CrossSourceConsolidation: {
+    label: "Consolidating web and CRM results",
+    result: (n) => `${n} ${plural(n, "relationship", "relationships")}`
+  }
+});
+
+function plural(n, one, many) {
+  return n === 1 ? one : many;
+}
+
+// m:ss, or h:mm:ss for runs over an hour
+export function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function resultText(stage) {
+  const def = STAGES[stage.key];
+  if (!def || typeof stage.resultCount !== "number") return "";
+
+  if (stage.status === "RUNNING" && def.processed && typeof stage.processedCount === "number") {
+    return def.processed(stage.processedCount, stage.resultCount);
+  }
+  return def.result(stage.resultCount);
+}
+
+// Build the view model for the progress stepper.  `now` is the server time the progress is viewed
+// at (client time corrected by the serverTime offset), used for elapsed times.
+//
+//   { headline, elapsed, steps: [{ key, label, detail, isComplete, isActive, className }] }
+export function describeProgress(progress, now) {
+  if (!progress || !Array.isArray(progress.stages)) return null;
+
+  const steps = progress.stages.map((stage) => {
+    const isComplete = stage.status === "DONE";
+    const isActive = stage.status === "RUNNING";
+
+    let duration = "";
+    if (isComplete && stage.startedAt && stage.completedAt) {
+      duration = formatElapsed(stage.completedAt - stage.startedAt);
+    } else if (isActive && stage.startedAt) {
+      duration = formatElapsed(now - stage.startedAt);
+    }
+
+    const detail = [resultText(stage), duration].filter(Boolean).join(" · ");
+
+    const classNames = ["slds-progress__item"];
+    if (isComplete) classNames.push("slds-is-completed");
+    if (isActive) classNames.push("slds-is-active");
+
+    return {
+      key: stage.key,
+      label: STAGES[stage.key]?.label ?? stage.key,
+      detail,
+      isComplete,
+      isActive,
+      className: classNames.join(" ")
+    };
+  });
+
+  // e.g. "12 candidate entities found, matching against CRM…"
+  const activeIndex = progress.stages.findIndex((s) => s.status === "RUNNING");
+  const previous = progress.stages
+    .slice(0, activeIndex < 0 ? progress.stages.length : activeIndex)
+    .filter((s) => s.status === "DONE" && typeof s.resultCount === "number")
+    .pop();
+
+  let headline = "Starting research…";
+  if (activeIndex >= 0) {
+    const { label } = steps[activeIndex];
+    const activeLabel = label.charAt(0).toLowerCase() + label.slice(1);
+    headline = previous
+      ? `${resultText(previous)}, ${activeLabel}…`
+      : `${steps[activeIndex].label}…`;
+  } else if (previous) {
+    headline = resultText(previous);
+  }
+
+  return {
+    headline,
+    elapsed: progress.startedAt ? formatElapsed(now - progress.startedAt) : "",
+    steps
+  };
+}
@@ -0,0 +1,106 @@
+// What a record's saved research amounts to, from the RRARelationships__c record returned by
+// RRAClient.getRelationships (RelationshipJson__c, Diagnostics__c) and the result of parsing its
+// envelope (see parseEnvelope):
+//
+//   NOT_RESEARCHED  nothing saved yet
+//   EMPTY           research ran and found no relationships
+//   CORRUPT         the saved relationship data can't be displayed
+//   PARTIAL         a research stage failed, but the other stages' relationships were saved; failed
+//                   stages have an `error` in their Diagnostics__c entry (see RRADiagnostics)
+//   COMPLETE
+//   LOAD_FAILED     the record couldn't be loaded
+
+import { hasFatalError } from "c/rraGraph";
+
+export const RESEARCH_STATES = Object.freeze({
+  NOT_RESEARCHED: "NOT_RESEARCHED",
+  EMPTY: "EMPTY",
+  CORRUPT: "CORRUPT",
+  PARTIAL: "PARTIAL",
+  COMPLETE: "COMPLETE",
+  LOAD_FAILED: "LOAD_FAILED"
+});
+
+// Names of the Diagnostics__c entries that can record a failure
+const FAILURE_LABELS = Object.freeze({
+  WebResearch: "Web research",
+  CrmExtraction: "CRM extraction"
+});
+
+// { key, label, error } for each research stage recorded as failed in Diagnostics__c JSON
+export function stageFailures(diagnosticsJson) {
+  let diagnostics;
+  try {
+    diagnostics = JSON.parse(diagnosticsJson);
+  } catch (e) {
+    return [];
+  }
+  if (!diagnostics || typeof diagnostics !== "object") return [];
+
+  return Object.entries(diagnostics)
+    .filter(([, entry]) => typeof entry?.error === "string")
+    .map(([key, entry]) => ({ key, label: FAILURE_LABELS[key] ?? key, error: entry.error }));
+}
+
+// record: the parsed RRARelationships__c record, or null when there is none.  envelope and errors:
+// parseEnvelope's result for its RelationshipJson__c.
+export function researchStateOf({ record, envelope, errors = [] }) {
+  if (record?.RelationshipJson__c === undefined || record.RelationshipJson__c === null) {
+    return RESEARCH_STATES.NOT_RESEARCHED;
+  }
+  if (!envelope || hasFatalError(errors)) return RESEARCH_STATES.CORRUPT;
+  if (envelope.relatedEntities.length === 0) {
+    // Entries that were saved but are all unreadable are not "nothing found"
+    return errors.length > 0 ? RESEARCH_STATES.CORRUPT : RESEARCH_STATES.EMPTY;
+  }
+  return stageFailures(record.Diagnostics__c).length > 0
+    ? RESEARCH_STATES.PARTIAL
+    : RESEARCH_STATES.COMPLETE;
+}
+
+// What the component shows for a state, or null for COMPLETE.  variant: "info", "warning" or
+// "error"; canRetry: offer to load the record again; canAddRelationship: offer to enter
+// relationships by hand (see RRAClient.addRelationship); showDiagnostics: show Diagnostics__c.
+export function describeResearchState(state, { anchorLabel = "record", diagnosticsJson } = {}) {
+  switch (state) {
+    case RESEARCH_STATES.NOT_RESEARCHED:
+      return {
+        variant: "info",
+        title: "No research yet",
+        message: `Start research to find the people and organizations related to this ${anchorLabel}, or add the ones you already know.`,
+        canAddRelationship: true
+      };
+    case RESEARCH_STATES.EMPTY:
+      return {
+        variant: "info",
+        title: "No relationships found",
+        message: "Research ran but found no relationships. Try deep web search or record context.",
+        canAddRelationship: true
+      };
+    case RESEARCH_STATES.CORRUPT:
+      return {
+        variant: "error",
+        title: "Saved research can't be displayed",
+        message: "The saved relationship data is damaged. Retry, or start research again.",
+        canRetry: true,
+        showDiagnostics: !!diagnosticsJson
+      };
+    case RESEARCH_STATES.PARTIAL:
+      return {
+        variant: "warning",
+        title: "Partial results",
+        message: "Some research stages failed; the relationships below come from the others.",
+        failures: stageFailures(diagnosticsJson),
+        showDiagnostics: !!diagnosticsJson
+      };
+    case RESEARCH_STATES.LOAD_FAILED:
+      return {
+        variant: "error",
+        title: "Research couldn't be loaded",
+        message: "Something went wrong loading this record's research.",
+        canRetry: true
+      };
+    default:
+      return null;
+  }
+}
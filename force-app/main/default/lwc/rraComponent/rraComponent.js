@@ -1,32 +1,102 @@
 import { track, LightningElement, api, wire } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import LightningPrompt from "lightning/prompt";
 import { loadScript } from "lightning/platformResourceLoader";
+import { refreshApex } from "@salesforce/apex";
 import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 import getRelationships from "@salesforce/apex/RRAClient.getRelationships";
 import createRelationships from "@salesforce/apex/RRAClient.createRelationships";
 import createRelationshipsAsync from "@salesforce/apex/RRAClientAsync.createRelationshipsAsync";
+import getJobStatus from "@salesforce/apex/RRAClientAsync.getJobStatus";
+import getActiveJob from "@salesforce/apex/RRAClientAsync.getActiveJob";
+import cancelJob from "@salesforce/apex/RRAClientAsync.cancelJob";
+import getResearchProgress from "@salesforce/apex/RRAClient.getResearchProgress";
+import getResearchOptions from "@salesforce/apex/RRAClient.getResearchOptions";
+import saveResearchPreferences from "@salesforce/apex/RRAClient.saveResearchPreferences";
+import resetResearchPreferences from "@salesforce/apex/RRAClient.resetResearchPreferences";
 import confirmCrmMatch from "@salesforce/apex/RRAClient.confirmCrmMatch";
+import rejectCrmMatch from "@salesforce/apex/RRAClient.rejectCrmMatch";
+import unconfirmCrmMatch from "@salesforce/apex/RRAClient.unconfirmCrmMatch";
+import describeObjectTypes from "@salesforce/apex/RRAClient.describeObjectTypes";
+import linkEntityRecord from "@salesforce/apex/RRAClient.linkEntityRecord";
+import saveRelationshipFeedback from "@salesforce/apex/RRAClient.saveRelationshipFeedback";
+import addRelationship from "@salesforce/apex/RRAClient.addRelationship";
 
 import D3 from "@salesforce/resourceUrl/d3";
 import ICONS_URL from "@salesforce/resourceUrl/symbols";
 import ICONS_UTIL_URL from "@salesforce/resourceUrl/symbolsutil";
-
-import { RraGraph, GraphDataBuilder } from "c/rraGraph";
+import ICONS_CUSTOM_URL from "@salesforce/resourceUrl/symbolscustom";
+
+import {
+  RraGraph,
+  GraphDataBuilder,
+  FEEDBACK,
+  LAYOUTS,
+  createLayout,
+  crmStatusOf,
+  downloadFile,
+  formatScore,
+  hasFatalError,
+  parseEnvelope,
+  toDataUrl
+} from "c/rraGraph";
+import { describeProgress } from "./researchProgress";
+import { ResearchPoller } from "./researchPoller";
+import { RESEARCH_STATES, describeResearchState, researchStateOf } from "./researchState";
+import {
+  COLUMNS as TABLE_COLUMNS,
+  COLUMN_FILTER_OPTIONS as TABLE_COLUMN_FILTER_OPTIONS,
+  DEFAULT_COLUMN_FILTERS as DEFAULT_TABLE_COLUMN_FILTERS,
+  sortRows,
+  toNodeData,
+  toTableRows
+} from "./relationshipTable";
+
+// Design property value that leaves an option to the org default
+const ORG_DEFAULT = "Org default";
+
+function toPageOverride(value) {
+  if (value === "Enabled") return true;
+  if (value === "Disabled") return false;
+  return null;
+}
 
 export default class RraComponent extends NavigationMixin(LightningElement) {
   static d3Loaded = false;
 
-  // TODO: Update the prompt to return titlecase record types instead of handling conversion here
-  static RECORD_TYPE_TITLECASE = {
-    lead: "Lead",
-    contact: "Contact",
-    account: "Account",
-    opportunity: "Opportunity"
+  // How often to check on research in flight (job status and stage progress), in ms
+  static RESEARCH_POLL_INTERVAL = 5000;
+
+  // Objects a node can be created as or linked to (see rraCreateRecordModal's OBJECT_OPTIONS),
+  // described even before any entity is linked to one
+  static LINKABLE_OBJECT_TYPES = ["Account", "Contact", "Lead"];
+
+  // Labels for the job states reported by RRAClientAsync
+  static JOB_STATUS_LABELS = {
+    QUEUED: "Research queued",
+    RUNNING: "Research running",
+    COMPLETED: "Research completed",
+    FAILED: "Research failed",
+    ABORTED: "Research cancelled"
   };
 
   @api recordId;
   @api objectApiName;
 
+  // Number of related entities drawn before the rest collapse into a "+N more" node; set per page
+  // in App Builder
+  @api maxGraphNodes = GraphDataBuilder.DEFAULT_MAX_NODES;
+
+  // Set once the user expands the "+N more" node, so later builds keep every entity
+  isOverflowExpanded = false;
+
+  // Page overrides of the org research defaults, set in App Builder: "Org default" inherits,
+  // otherwise "Enabled"/"Disabled" or an entity matcher mode (see RRAClientOptions.resolve)
+  @api asyncExecution = ORG_DEFAULT;
+  @api deepWebSearch = ORG_DEFAULT;
+  @api recordContext = ORG_DEFAULT;
+  @api entityMatcher = ORG_DEFAULT;
+
   options = {
     width: 400,
     height: 400
@@ -38,13 +108,91 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
   graphData = null;
   graphRendered = false;
 
-  // raw relationship data from api
+  // Object types in the relationship data (record types, in any case) and their descriptions
+  // (API name, label, name field and icon) keyed by those names
+  objectTypeNames = [];
+  objectTypes = {};
+
+  // current RraGraph instance and the id of its layout strategy (see LAYOUTS)
+  graph = null;
+  layoutId = "radial";
+  showLegend = true;
+  layoutOptions = Object.entries(LAYOUTS).map(([value, Layout]) => ({
+    label: Layout.label,
+    value
+  }));
+
+  exportOptions = [
+    { label: "SVG image", value: "svg" },
+    { label: "PNG image", value: "png" },
+    { label: "CSV (relationships)", value: "csv" },
+    { label: "GraphML (Gephi)", value: "graphml" },
+    { label: "Feedback (JSON Lines)", value: "feedback" }
+  ];
+
+  // raw relationship data from api, and the wired result used to refresh it
   relationshipData = null;
+  wiredRelationships;
+
+  // async research job being tracked: { jobId, status, errorMessage }, see RRAClientAsync.JobResponse
+  job = null;
+  researchPoller = new ResearchPoller(() => this.pollResearch(), {
+    interval: RraComponent.RESEARCH_POLL_INTERVAL,
+    setTimer: setTimeout,
+    clearTimer: clearTimeout
+  });
+  isCancellingJob = false;
+
+  // stage progress of the research run in flight (see RRAProgress), the difference between the
+  // client and server clocks used for elapsed times, and whether a synchronous run is in flight
+  progress = null;
+  progressClockOffset = 0;
+  syncResearchRunning = false;
+
+  // envelope entries GraphDataBuilder combined into another node (see IdentityResolver)
+  mergeReport = [];
+
+  // what the saved research amounts to (see researchState), null until it has loaded
+  researchState = null;
+
+  // problems parsing the stored envelope: entries that could not be displayed, or why none could
+  // (see parseEnvelope)
+  envelopeErrors = [];
+
+  // graph filters passed to GraphDataBuilder.build (see GraphDataBuilder.DEFAULT_FILTERS) and the
+  // number of related entities they currently hide
+  filters = { ...GraphDataBuilder.DEFAULT_FILTERS };
+  filteredOutCount = 0;
+  sourceFilterOptions = [
+    { label: "All", value: "all" },
+    { label: "CRM", value: "crm" },
+    { label: "Web", value: "web" },
+    { label: "Manual", value: "user" }
+  ];
+  entityTypeFilterOptions = [
+    { label: "All", value: "all" },
+    { label: "People", value: "person" },
+    { label: "Organizations", value: "organization" }
+  ];
+
+  // "graph" or "table" (see relationshipTable), and the table's sort, column filters and search
+  viewMode = "graph";
+  viewOptions = [
+    { label: "Graph", value: "graph" },
+    { label: "Table", value: "table" }
+  ];
+  tableColumns = TABLE_COLUMNS;
+  tableSortedBy = "importanceScore";
+  tableSortDirection = "desc";
+  tableColumnFilters = { ...DEFAULT_TABLE_COLUMN_FILTERS };
+  tableColumnFilterOptions = TABLE_COLUMN_FILTER_OPTIONS;
+  tableSearchTerm = "";
 
   // default to showing spinner until api calls complete
   isLoading = true;
 
-  // UI checkbox options - defaults
+  // UI checkbox options - built-in defaults until the resolved options load
+  researchOptionsLoaded = false;
   useAsyncExecution = true;
   useDeepWebSearch = true;
   useRecordContext = true;
@@ -60,8 +208,12 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
   // modal form behavior
   showCreateRecordModal = false;
   showConfirmMatchModal = false;
+  showAddRelationshipModal = false;
   selectedNodeData = {};
 
+  // id of the graph node whose details are shown in the side panel (see rraEntityDetailPanel)
+  detailNodeId = null;
+
   @wire(CurrentPageReference)
   currentPageReference;
 
@@ -74,25 +226,33 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
     this.relationshipData = null;
     this.graphData = null;
     this.diagnosticsData = null;
+    this.graphRendered = false;
+    this.detailNodeId = null;
+    this.envelopeErrors = [];
 
     let record;
     try {
       record = JSON.parse(data);
     } catch (e) {
       console.error("Error parsing RRARelationships__c record", e.toString());
+      this.researchState = RESEARCH_STATES.LOAD_FAILED;
       return;
     }
 
-    if (record.RelationshipJson__c === undefined) {
-      // before a custom object has been created, this field will be undefined
+    // Before a custom object has been created, RelationshipJson__c will be undefined; before
+    // research has saved anything, null
+    if (record.RelationshipJson__c === undefined || record.RelationshipJson__c === null) {
+      this.researchState = researchStateOf({ record });
       return;
     }
 
-    let envelope;
-    try {
-      envelope = JSON.parse(record.RelationshipJson__c);
-    } catch (e) {
-      console.error("Error parsing RelationshipJson__c field:", e.toString());
+    // Older schema versions are migrated; entries that can't be shown are reported, not dropped
+    const { envelope, errors } = parseEnvelope(record.RelationshipJson__c);
+    this.envelopeErrors = errors;
+    this.diagnosticsData = record.Diagnostics__c;
+    this.researchState = researchStateOf({ record, envelope, errors });
+    if (!envelope) {
+      console.error("Error parsing RelationshipJson__c field:", errors);
       return;
     }
 
@@ -102,11 +262,57 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
     }
 
     this.relationshipData = envelope;
-    this.diagnosticsData = record.Diagnostics__c;
-    this.graphData = new GraphDataBuilder(this.relationshipData).build({
+    this.graphData = this.buildGraphData();
+    this.objectTypeNames = this.collectObjectTypeNames(envelope);
+  }
+
+  collectObjectTypeNames(envelope) {
+    const names = new Set([
+      ...RraComponent.LINKABLE_OBJECT_TYPES,
+      this.objectApiName,
+      envelope.anchorEntity?.recordType
+    ]);
+    for (const entity of envelope.relatedEntities ?? []) {
+      names.add(entity.recordType);
+    }
+    return [...names].filter(Boolean).sort();
+  }
+
+  @wire(describeObjectTypes, { objectTypes: "$objectTypeNames" })
+  getWiredObjectTypes({ data, error }) {
+    if (error) {
+      console.error("Error describing object types:", error?.body?.message || error);
+      return;
+    }
+    if (!data) return;
+
+    this.objectTypes = JSON.parse(data);
+    // Redraw with the object icons if the graph was drawn before they arrived
+    if (this.graph) this.renderGraph();
+  }
+
+  // Description of a record type from the relationship data, or a best guess when the type couldn't
+  // be described
+  describeObjectType(recordType) {
+    return (
+      this.objectTypes[recordType] ?? {
+        apiName: recordType,
+        label: recordType
+      }
+    );
+  }
+
+  buildGraphData() {
+    const builder = new GraphDataBuilder(this.relationshipData);
+    const graphData = builder.build({
       recordId: this.recordId,
-      recordType: this.objectApiName
+      recordType: this.objectApiName,
+      maxNodes: this.isOverflowExpanded ? null : this.maxGraphNodes,
+      filters: this.filters
     });
+    this.mergeReport = builder.mergeReport;
+    this.filteredOutCount = builder.filteredOutCount;
+    return graphData;
   }
 
   async updateRelationships({ isNewResearch = true }) {
@@ -122,6 +328,7 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
       });
 
       const jobInfo = JSON.parse(result);
+      this.trackJob(jobInfo);
 
       if (jobInfo.status === "ALREADY_QUEUED") {
         this.dispatchEvent(
@@ -135,23 +342,33 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
         this.dispatchEvent(
           new ShowToastEvent({
             title: "Job Queued",
-            message: `Relationships job queued (ID: ${jobInfo.jobId}). Check back later for results.`,
+            message: `Relationships job queued (ID: ${jobInfo.jobId}). The graph will update when it completes.`,
             variant: "info"
           })
         );
       }
     } else {
-      const data = await createRelationships({
-        recordId: this.recordId,
-        options: {
-          useDeepWebSearch: this.useDeepWebSearch,
-          useRecordContext: this.useRecordContext,
-          isNewResearch: isNewResearch,
-          entityMatcherMode: this.entityMatcherMode
-        }
-      });
+      // The run publishes stage progress while this call is in flight
+      this.syncResearchRunning = true;
+      this.scheduleResearchPoll();
+
+      let data;
+      try {
+        data = await createRelationships({
+          recordId: this.recordId,
+          options: {
+            useDeepWebSearch: this.useDeepWebSearch,
+            useRecordContext: this.useRecordContext,
+            isNewResearch: isNewResearch,
+            entityMatcherMode: this.entityMatcherMode
+          }
+        });
+      } finally {
+        this.syncResearchRunning = false;
+        this.cancelResearchPoll();
+        this.progress = null;
+      }
       this.loadRelationships(data);
-      this.graphRendered = false;
 
       this.dispatchEvent(
         new ShowToastEvent({
@@ -184,21 +401,192 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
   }
 
   renderGraph() {
+    // Each render gets a fresh RraGraph; drop the previous one's tooltip and listeners
+    this.destroyGraph();
+
     try {
       const graph = new RraGraph({
         ...this.options,
         svg: this.template.querySelector("svg.d3"),
         iconsUrl: ICONS_URL,
         iconsUtilUrl: ICONS_UTIL_URL,
-        onNodeClick: this.handleNodeClick.bind(this)
+        iconsCustomUrl: ICONS_CUSTOM_URL,
+        objectTypeIcons: this.objectTypeIcons,
+        layout: createLayout(this.layoutId),
+        showLegend: this.showLegend,
+        onNodeClick: this.handleNodeClick.bind(this),
+        onRelationshipFeedback: this.handleRelationshipFeedback.bind(this),
+        onOverflowExpand: this.handleOverflowExpand.bind(this)
       });
       graph.clear();
       graph.render(this.graphData);
+      this.graph = graph;
     } catch (error) {
       console.error("Error rendering graph:", error.toString());
     }
   }
 
+  // Follow an async job until it finishes.  Jobs already reported as ALREADY_QUEUED are tracked the
+  // same way as freshly queued ones.
+  trackJob({ jobId, status, errorMessage }) {
+    this.job = {
+      jobId,
+      status: status === "ALREADY_QUEUED" ? "QUEUED" : status,
+      errorMessage
+    };
+    this.scheduleResearchPoll();
+  }
+
+  scheduleResearchPoll() {
+    this.researchPoller.schedule();
+  }
+
+  cancelResearchPoll() {
+    this.researchPoller.cancel();
+  }
+
+  // Poll while research is in flight: stage progress for every run, job status for async runs.
+  // Resolves to whether to poll again.
+  async pollResearch() {
+    await this.refreshProgress();
+    if (this.job) {
+      await this.refreshJobStatus();
+    }
+    return this.isResearchRunning;
+  }
+
+  async refreshProgress() {
+    let progress = null;
+    try {
+      const result = await getResearchProgress({ recordId: this.recordId });
+      progress = result ? JSON.parse(result) : null;
+    } catch (error) {
+      console.error("Error loading research progress:", error?.body?.message || error);
+      return;
+    }
+
+    // The run may have finished while the request was in flight
+    if (!this.isResearchRunning) return;
+
+    if (progress) {
+      this.progressClockOffset = Date.now() - progress.serverTime;
+    }
+    this.progress = progress;
+  }
+
+  async refreshJobStatus() {
+    let jobInfo;
+    try {
+      jobInfo = JSON.parse(await getJobStatus({ jobId: this.job.jobId }));
+    } catch (error) {
+      const message = error?.body?.message || error?.message || "Unknown error";
+      console.error("Error checking job status:", message);
+      this.job = {
+        ...this.job,
+        status: "FAILED",
+        errorMessage: `Unable to check job status: ${message}`
+      };
+      this.progress = null;
+      return;
+    }
+
+    this.job = jobInfo;
+    if (this.isJobActive) return;
+
+    this.progress = null;
+    if (jobInfo.status === "COMPLETED") {
+      await this.handleJobCompleted();
+    } else if (jobInfo.status === "FAILED") {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Research Failed",
+          message: jobInfo.errorMessage || "The relationships job failed",
+          variant: "error"
+        })
+      );
+    }
+  }
+
+  // Start from the options resolved across the user's preferences, this page's overrides and the
+  // org defaults
+  async loadResearchOptions() {
+    try {
+      const options = JSON.parse(await getResearchOptions({ pageOverrides: this.pageOverrides }));
+      this.useAsyncExecution = options.useAsyncExecution;
+      this.useDeepWebSearch = options.useDeepWebSearch;
+      this.useRecordContext = options.useRecordContext;
+      this.entityMatcherMode = options.entityMatcherMode;
+      this.applyFilters(this.parseSavedFilters(options.graphFilters));
+    } catch (error) {
+      console.error("Error loading research options:", error?.body?.message || error);
+    } finally {
+      this.researchOptionsLoaded = true;
+    }
+  }
+
+  // Options changed in the debug panel are saved as the user's preferences, across records and
+  // browsers
+  async saveResearchPreference(preference) {
+    try {
+      await saveResearchPreferences({ preferences: preference });
+    } catch (error) {
+      console.error("Error saving research preferences:", error?.body?.message || error);
+    }
+  }
+
+  // Cancel the tracked job so a new run can start right away
+  async handleCancelJob() {
+    this.isCancellingJob = true;
+    try {
+      this.job = JSON.parse(await cancelJob({ recordId: this.recordId }));
+      this.cancelResearchPoll();
+      this.progress = null;
+    } catch (error) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: error?.body?.message || "Unable to cancel the research job",
+          variant: "error"
+        })
+      );
+    } finally {
+      this.isCancellingJob = false;
+    }
+  }
+
+  // Reload the (cached) wired relationships; the wire handler re-renders the graph
+  async handleJobCompleted() {
+    try {
+      await refreshApex(this.wiredRelationships);
+    } catch (error) {
+      console.error("Error refreshing relationships:", error);
+    }
+
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: "Success",
+        message: "Relationships successfully generated",
+        variant: "success"
+      })
+    );
+  }
+
+  async resumeActiveJob() {
+    try {
+      const result = await getActiveJob({ recordId: this.recordId });
+      if (result) this.trackJob(JSON.parse(result));
+    } catch (error) {
+      console.error("Error loading active job:", error?.body?.message || error);
+    }
+  }
+
+  destroyGraph() {
+    if (this.graph) {
+      this.graph.destroy();
+      this.graph = null;
+    }
+  }
+
   // lifecycle callbacks
 
   // order of execution is (1) constructor (2) connectedCallback (3) renderedCallback
@@ -209,10 +597,13 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
   getWiredRelationships(result) {
     console.log("[RraComponent] getWiredRelationships start");
 
+    this.wiredRelationships = result;
+
     const { data, error } = result;
 
     if (error != null) {
       console.error("[RraComponent] Error from getWiredRelationships:", error.toString());
+      this.researchState = RESEARCH_STATES.LOAD_FAILED;
       this.isLoading = false;
       return;
     }
@@ -236,22 +627,31 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
   connectedCallback() {
     console.log("[RraComponent] connectedCallback start");
 
-    // Load persisted checkbox values from localStorage (localized to this record)
-    if (this.recordId) {
-      const savedAsync = localStorage.getItem(`rra_${this.recordId}_useAsyncExecution`);
-      const savedDeepWeb = localStorage.getItem(`rra_${this.recordId}_useDeepWebSearch`);
-      const savedRecordContext = localStorage.getItem(`rra_${this.recordId}_useRecordContext`);
-      const entityMatcherMode = localStorage.getItem(`rra_${this.recordId}_entityMatcherMode`);
+    this.loadResearchOptions();
+
+    // Graph layout is a display preference, so it is shared across records
+    const savedLayout = localStorage.getItem("rra_graphLayout");
+    if (savedLayout !== null && LAYOUTS[savedLayout]) this.layoutId = savedLayout;
+
+    const savedView = localStorage.getItem("rra_viewMode");
+    if (savedView === "graph" || savedView === "table") this.viewMode = savedView;
 
-      if (savedAsync !== null) this.useAsyncExecution = savedAsync === "true";
-      if (savedDeepWeb !== null) this.useDeepWebSearch = savedDeepWeb === "true";
-      if (savedRecordContext !== null) this.useRecordContext = savedRecordContext === "true";
-      if (entityMatcherMode !== null) this.entityMatcherMode = entityMatcherMode;
+    const savedLegend = localStorage.getItem("rra_graphLegend");
+    if (savedLegend !== null) this.showLegend = savedLegend === "true";
+
+    // Pick up a job queued before the page was (re)loaded
+    if (this.recordId) {
+      this.resumeActiveJob();
     }
 
     console.log("[RraComponent] connectedCallback end");
   }
 
+  disconnectedCallback() {
+    this.cancelResearchPoll();
+    this.destroyGraph();
+  }
+
   async renderedCallback() {
     console.log("[RraComponent] renderedCallback start");
     if (!(await this.loadD3())) return;
@@ -289,13 +689,197 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
 
   get diagnosticsJson() {
     if (this.diagnosticsData) {
-      const diagnostics = JSON.parse(this.diagnosticsData);
-      const sortedDiagnostics = this.sortObjectKeys(diagnostics);
-      return JSON.stringify(sortedDiagnostics, null, 2);
+      try {
+        const diagnostics = JSON.parse(this.diagnosticsData);
+        const sortedDiagnostics = this.sortObjectKeys(diagnostics);
+        return JSON.stringify(sortedDiagnostics, null, 2);
+      } catch (e) {
+        return this.diagnosticsData;
+      }
     }
     return "";
   }
 
+  get researchStateView() {
+    const view = describeResearchState(this.researchState, {
+      anchorLabel: this.anchorLabel,
+      diagnosticsJson: this.diagnosticsData
+    });
+    if (!view) return null;
+
+    const themes = {
+      info: "slds-theme_shade",
+      warning: "slds-theme_warning",
+      error: "slds-theme_error"
+    };
+    return {
+      ...view,
+      boxClass: `slds-box ${themes[view.variant]}`,
+      reasons: [
+        ...(view.failures ?? []).map((f) => ({
+          key: f.key,
+          text: `${f.label} failed: ${f.error}`
+        })),
+        ...(view.variant === "error" ? this.envelopeErrors : []).map((e, i) => ({
+          key: `envelope-${i}`,
+          text: e.message
+        }))
+      ]
+    };
+  }
+
+  get mergeReportItems() {
+    return this.mergeReport.map((m, i) => {
+      const name =
+        m.canonicalName && m.canonicalName !== m.entityName
+          ? `${m.entityName} (${m.canonicalName})`
+          : m.entityName;
+      const target = m.isSelfReference ? `${m.id} (anchor, skipped)` : m.id;
+      return {
+        key: `${i}`,
+        text: `${name} → ${target}, matched on ${m.matchedOn}`
+      };
+    });
+  }
+
+  // Fatal errors are reported by the corrupt research state instead
+  get hasEnvelopeErrors() {
+    return this.envelopeErrors.length > 0 && !hasFatalError(this.envelopeErrors);
+  }
+
+  get envelopeErrorItems() {
+    return this.envelopeErrors.map((e, i) => ({
+      key: `${i}`,
+      text:
+        e.index === undefined
+          ? e.message
+          : `${e.entityName ?? `Entry ${e.index + 1}`}: ${e.message}`
+    }));
+  }
+
+  get hasMergeReport() {
+    return this.mergeReport.length > 0;
+  }
+
+  // Screen reader alternative to the graph: every relationship it holds, "+N more" included
+  get accessibleTableRows() {
+    if (!this.graphData) return [];
+
+    return GraphDataBuilder.toRelationshipRows(this.graphData).map((r) => {
+      return {
+        ...r,
+        sourceLabel: RraGraph.SOURCE_LABELS[r.source] ?? RraGraph.SOURCE_LABELS.web,
+        crmStatus: crmStatusOf(r),
+        feedbackLabel: FEEDBACK[r.feedback]?.label ?? "",
+        confidenceLabel: formatScore(r.confidenceScore)
+      };
+    });
+  }
+
+  get tableRows() {
+    return sortRows(
+      toTableRows(this.relationshipData?.relatedEntities, {
+        filters: this.filters,
+        columnFilters: this.tableColumnFilters,
+        searchTerm: this.tableSearchTerm
+      }),
+      this.tableSortedBy,
+      this.tableSortDirection
+    );
+  }
+
+  get isTableView() {
+    return this.viewMode === "table";
+  }
+
+  get graphContainerClass() {
+    const hidden = this.isTableView ? " slds-hide" : "";
+    return `slds-col slds-align_absolute-center slds-var-m-bottom_large${hidden}`;
+  }
+
+  get showEntityDetail() {
+    return !this.isTableView && this.detailNodeData != null;
+  }
+
+  // The detail panel's node, looked up afresh so it reflects links and feedback saved since it was
+  // opened; null once the node is filtered out of the graph
+  get detailNodeData() {
+    if (!this.detailNodeId || !this.graphData) return null;
+
+    const node = GraphDataBuilder.expandOverflow(this.graphData).nodes.find(
+      (n) => n.id === this.detailNodeId && !n.isFocus
+    );
+    return node ? this.withObjectType(node) : null;
+  }
+
+  get isJobActive() {
+    return this.job?.status === "QUEUED" || this.job?.status === "RUNNING";
+  }
+
+  get isJobFailed() {
+    return this.job?.status === "FAILED";
+  }
+
+  get jobStatusLabel() {
+    return this.job ? (RraComponent.JOB_STATUS_LABELS[this.job.status] ?? this.job.status) : "";
+  }
+
+  get anchorName() {
+    return this.relationshipData?.anchorEntity?.entityName ?? this.recordId;
+  }
+
+  get anchorLabel() {
+    return (this.describeObjectType(this.objectApiName).label ?? "record").toLowerCase();
+  }
+
+  // Icon of each described object type for the graph, keyed by lowercase record type
+  get objectTypeIcons() {
+    const icons = {};
+    for (const [recordType, objectType] of Object.entries(this.objectTypes)) {
+      if (objectType.iconName) icons[recordType.toLowerCase()] = objectType.iconName;
+    }
+    return icons;
+  }
+
+  get isResearchRunning() {
+    return this.isJobActive || this.syncResearchRunning;
+  }
+
+  get progressView() {
+    if (!this.isResearchRunning) return null;
+    return describeProgress(this.progress, Date.now() - this.progressClockOffset);
+  }
+
+  get pageOverrides() {
+    return {
+      useAsyncExecution: toPageOverride(this.asyncExecution),
+      useDeepWebSearch: toPageOverride(this.deepWebSearch),
+      useRecordContext: toPageOverride(this.recordContext),
+      entityMatcherMode:
+        this.entityMatcher && this.entityMatcher !== ORG_DEFAULT ? this.entityMatcher : null
+    };
+  }
+
+  get isResearchDisabled() {
+    return this.isLoading || this.isJobActive || !this.researchOptionsLoaded;
+  }
+
+  get legendToggleLabel() {
+    return this.showLegend ? "Hide legend" : "Show legend";
+  }
+
+  get isFiltered() {
+    return Object.entries(GraphDataBuilder.DEFAULT_FILTERS).some(
+      ([key, value]) => this.filters[key] !== value
+    );
+  }
+
+  get filterSummary() {
+    if (this.filteredOutCount < 1) return "";
+    const noun = this.filteredOutCount === 1 ? "relationship" : "relationships";
+    return `${this.filteredOutCount} ${noun} hidden by filters`;
+  }
+
   get showDebug() {
     if (this.currentPageReference && this.currentPageReference.state) {
       return this.currentPageReference.state.c__rraDebug === "1";
@@ -305,34 +889,113 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
 
   // handlers
 
+  // The graph has already redrawn itself with every node
+  handleOverflowExpand() {
+    this.isOverflowExpanded = true;
+  }
+
+  // Related entities open the detail panel, whose buttons lead on to the record or the match and
+  // create-record dialogs; the anchor opens its record
   async handleNodeClick(nodeData) {
-    if (nodeData.recordId) {
-      if (nodeData.source === "web" && !nodeData.isCrmConfirmed) {
-        this.selectedNodeData = {
-          ...nodeData,
-          titlecaseRecordType: RraComponent.RECORD_TYPE_TITLECASE[nodeData.recordType] || ""
-        };
-        this.showConfirmMatchModal = true;
-      } else {
-        const recordUrl = await this[NavigationMixin.GenerateUrl]({
-          type: "standard__recordPage",
-          attributes: {
-            recordId: nodeData.recordId,
-            objectApiName: nodeData.recordType,
-            actionName: "view"
-          }
-        });
-        window.open(recordUrl, "_blank");
-      }
+    if (nodeData.isFocus) {
+      await this.openRecord(nodeData);
     } else {
-      this.selectedNodeData = {
-        ...nodeData,
-        titlecaseRecordType: RraComponent.RECORD_TYPE_TITLECASE[nodeData.recordType] || ""
-      };
-      this.showCreateRecordModal = true;
+      this.detailNodeId = nodeData.id;
     }
   }
 
+  handleDetailOpen() {
+    return this.openRecord(this.detailNodeData);
+  }
+
+  handleDetailConfirm() {
+    this.openConfirmMatch(this.detailNodeData);
+  }
+
+  handleDetailCreate() {
+    this.openCreateRecord(this.detailNodeData);
+  }
+
+  handleDetailFeedback(event) {
+    return this.handleRelationshipFeedback({ ...event.detail, nodeData: this.detailNodeData });
+  }
+
+  handleCloseDetail() {
+    this.detailNodeId = null;
+  }
+
+  // Row actions of the table view (see relationshipTable.rowActionsFor)
+  async handleTableRowAction(event) {
+    const { action, row } = event.detail;
+    const entity = this.relationshipData?.relatedEntities?.[Number(row.key)];
+    if (!entity) return;
+
+    const nodeData = toNodeData(entity);
+    if (action.name === "open") {
+      await this.openRecord(nodeData);
+    } else if (action.name === "confirm") {
+      this.openConfirmMatch(nodeData);
+    } else if (action.name === "create") {
+      this.openCreateRecord(nodeData);
+    }
+  }
+
+  openConfirmMatch(nodeData) {
+    this.selectedNodeData = this.withObjectType(nodeData);
+    this.showConfirmMatchModal = true;
+  }
+
+  openCreateRecord(nodeData) {
+    this.selectedNodeData = this.withObjectType(nodeData);
+    this.showCreateRecordModal = true;
+  }
+
+  async openRecord(nodeData) {
+    const recordUrl = await this[NavigationMixin.GenerateUrl]({
+      type: "standard__recordPage",
+      attributes: {
+        recordId: nodeData.recordId,
+        objectApiName: this.describeObjectType(nodeData.recordType).apiName,
+        actionName: "view"
+      }
+    });
+    window.open(recordUrl, "_blank");
+  }
+
+  // UUIDs of the envelope entities a node stands for (identity resolution can merge several)
+  entityUuidsOf(nodeData) {
+    const relationships = nodeData.relationships?.length > 0 ? nodeData.relationships : [nodeData];
+    return [...new Set(relationships.map((r) => r.uuid).filter(Boolean))];
+  }
+
+  // Mirror a saved link (see RRAClient.linkEntityRecord, rejectCrmMatch and unconfirmCrmMatch) in
+  // the loaded envelope and redraw
+  applyEntityLink(nodeData, { recordId, recordType, isCrmConfirmed = true }) {
+    const uuids = new Set(this.entityUuidsOf(nodeData));
+    for (const entity of this.relationshipData?.relatedEntities ?? []) {
+      if (!uuids.has(entity.uuid)) continue;
+      entity.recordId = recordId;
+      entity.recordType = recordType;
+      entity.isCrmConfirmed = isCrmConfirmed;
+    }
+
+    this.graphData = this.buildGraphData();
+    this.objectTypeNames = this.collectObjectTypeNames(this.relationshipData);
+    this.renderGraph();
+  }
+
+  withObjectType(nodeData) {
+    if (!nodeData.recordType) return { ...nodeData };
+
+    const objectType = this.describeObjectType(nodeData.recordType);
+    return {
+      ...nodeData,
+      objectApiName: objectType.apiName,
+      objectLabel: objectType.label,
+      nameField: objectType.nameField
+    };
+  }
+
   handleCloseCreateRecordModal() {
     this.showCreateRecordModal = false;
     const modal = this.template.querySelector("c-rra-create-record-modal");
@@ -349,80 +1012,256 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
     }
   }
 
-  async handleConfirmMatch(event) {
-    const { recordId, objectApiName, nodeId, nodeData } = event.detail;
+  handleConfirmMatch(event) {
+    const { nodeId, nodeData } = event.detail;
+    return this.updateMatch(
+      nodeData,
+      () =>
+        confirmCrmMatch({
+          recordId: this.recordId,
+          entityUuids: this.entityUuidsOf(nodeData)
+        }),
+      { title: "Match Confirmed", message: `CRM match confirmed for ${nodeData.label || nodeId}` }
+    );
+  }
+
+  // "Not this record": the match is rejected for good and the node unlinked
+  handleRejectMatch(event) {
+    const { nodeData } = event.detail;
+    return this.updateMatch(
+      nodeData,
+      () =>
+        rejectCrmMatch({
+          recordId: this.recordId,
+          entityUuids: this.entityUuidsOf(nodeData),
+          replacementRecordId: null
+        }),
+      {
+        title: "Match Rejected",
+        message: `${nodeData.label} will not be matched to this record again`
+      }
+    );
+  }
 
+  // The user picked the correct record; the old match is rejected as well
+  handleRetargetMatch(event) {
+    const { nodeData, replacementRecordId } = event.detail;
+    return this.updateMatch(
+      nodeData,
+      () =>
+        rejectCrmMatch({
+          recordId: this.recordId,
+          entityUuids: this.entityUuidsOf(nodeData),
+          replacementRecordId
+        }),
+      { title: "Match Updated", message: `${nodeData.label} linked to the selected record` }
+    );
+  }
+
+  handleUnconfirmMatch(event) {
+    const { nodeData } = event.detail;
+    return this.updateMatch(
+      nodeData,
+      () =>
+        unconfirmCrmMatch({
+          recordId: this.recordId,
+          entityUuids: this.entityUuidsOf(nodeData)
+        }),
+      { title: "Match Un-confirmed", message: `${nodeData.label} is a possible match again` }
+    );
+  }
+
+  handleViewMatchedRecord(event) {
+    this.handleCloseConfirmModal();
+    return this.openRecord(event.detail.nodeData);
+  }
+
+  async updateMatch(nodeData, save, toast) {
     try {
-      await confirmCrmMatch({
-        recordId: this.recordId,
-        entityUuid: nodeData.uuid
-      });
+      this.applyEntityLink(nodeData, JSON.parse(await save()));
     } catch (error) {
-      console.error("Error confirming match:", error);
+      console.error("Error updating match:", error);
 
       this.dispatchEvent(
         new ShowToastEvent({
           title: "Error",
-          message: `Failed to confirm match: ${error.body.message}`,
+          message: `Failed to update match: ${error?.body?.message || error.message}`,
           variant: "error"
         })
       );
 
       const modal = this.template.querySelector("c-rra-confirm-match-modal");
       if (modal) {
-        modal.setConfirming(false);
+        modal.setPendingAction(null);
       }
       return;
     }
 
-    if (this.relationshipData && this.relationshipData.relatedEntities) {
-      const entityToUpdate = this.relationshipData.relatedEntities.find(
-        (entity) => entity.uuid === nodeData.uuid
-      );
-      if (entityToUpdate) {
-        entityToUpdate.isCrmConfirmed = true;
+    this.dispatchEvent(new ShowToastEvent({ ...toast, variant: "success" }));
+    this.handleCloseConfirmModal();
+  }
+
+  // Dismiss, flag or endorse one relationship from the graph tooltip; flagging asks for a reason.
+  // feedback null clears earlier feedback.
+  async handleRelationshipFeedback({ uuid, predicate, feedback, nodeData }) {
+    let reason = null;
+    if (feedback === "incorrect") {
+      reason = await LightningPrompt.open({
+        label: "Flag as wrong",
+        message: `Why is "${nodeData.label} – ${predicate}" wrong?`,
+        defaultValue: ""
+      });
+      if (!reason?.trim()) return;
+    }
 
-        this.graphData = new GraphDataBuilder(this.relationshipData).build({
+    try {
+      const result = JSON.parse(
+        await saveRelationshipFeedback({
           recordId: this.recordId,
-          recordType: this.objectApiName
-        });
+          relationshipUuid: uuid,
+          feedback,
+          reason
+        })
+      );
 
+      const entity = this.relationshipData?.relatedEntities?.find((e) => e.uuid === uuid);
+      if (entity) {
+        entity.feedback = result.feedback;
+        entity.feedbackReason = result.feedbackReason;
+      }
+      this.graphData = this.buildGraphData();
+      this.renderGraph();
+
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Feedback Saved",
+          message: feedback
+            ? `${nodeData.label}: ${FEEDBACK[feedback].label.toLowerCase()}`
+            : `Feedback on ${nodeData.label} removed`,
+          variant: "success"
+        })
+      );
+    } catch (error) {
+      console.error("Error saving relationship feedback:", error);
+
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: `Failed to save feedback: ${error?.body?.message || error.message}`,
+          variant: "error"
+        })
+      );
+    }
+  }
+
+  handleOpenAddRelationship() {
+    this.showAddRelationshipModal = true;
+  }
+
+  handleCloseAddRelationshipModal() {
+    this.showAddRelationshipModal = false;
+    const modal = this.template.querySelector("c-rra-add-relationship-modal");
+    if (modal) {
+      modal.reset();
+    }
+  }
+
+  async handleAddRelationship(event) {
+    try {
+      const relationship = JSON.parse(
+        await addRelationship({ recordId: this.recordId, ...event.detail })
+      );
+      if (this.relationshipData) {
+        this.relationshipData.relatedEntities.push(relationship);
+        this.graphData = this.buildGraphData();
+        this.objectTypeNames = this.collectObjectTypeNames(this.relationshipData);
         this.renderGraph();
+      } else {
+        // The first relationship created the record's relationship data; load it
+        await refreshApex(this.wiredRelationships);
+      }
+
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Success",
+          message: `Relationship to ${relationship.entityName} added`,
+          variant: "success"
+        })
+      );
+      this.handleCloseAddRelationshipModal();
+    } catch (error) {
+      console.error("Error adding relationship:", error);
+
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: `Failed to add relationship: ${error?.body?.message || error.message}`,
+          variant: "error"
+        })
+      );
+
+      const modal = this.template.querySelector("c-rra-add-relationship-modal");
+      if (modal) {
+        modal.setSaving(false);
       }
     }
+  }
 
-    this.dispatchEvent(
-      new ShowToastEvent({
-        title: "Match Confirmed",
-        message: `CRM match confirmed for ${nodeData.label || nodeId}`,
-        variant: "success"
-      })
-    );
+  // The record has been saved by the modal; link it to the node's entities so the node shows as a
+  // CRM record from now on
+  handleCreateRecord(event) {
+    return this.linkSelectedNode(event.detail, "created");
+  }
 
-    this.handleCloseConfirmModal();
+  // The user picked an existing record over creating a duplicate
+  handleLinkExistingRecord(event) {
+    return this.linkSelectedNode(event.detail, "linked");
   }
 
-  async handleCreateRecord(event) {
-    const { nodeId, objectType, formData, sourceData } = event.detail;
-    const recordType = objectType;
+  async linkSelectedNode({ recordId, objectType, relateToAnchor }, verb) {
+    const nodeData = this.selectedNodeData;
 
     try {
+      const result = JSON.parse(
+        await linkEntityRecord({
+          recordId: this.recordId,
+          entityUuids: this.entityUuidsOf(nodeData),
+          linkedRecordId: recordId,
+          relateToAnchor: !!relateToAnchor
+        })
+      );
+      this.applyEntityLink(nodeData, result);
+
+      const related = result.relationshipType ? ` and related to this ${this.anchorLabel}` : "";
       this.dispatchEvent(
         new ShowToastEvent({
           title: "Success",
-          message: `${recordType} created successfully`,
+          message: `${objectType} ${verb}${related}`,
           variant: "success"
         })
       );
+      if (result.relationshipWarning) {
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: "Warning",
+            message: result.relationshipWarning,
+            variant: "warning"
+          })
+        );
+      }
 
       this.handleCloseCreateRecordModal();
     } catch (error) {
-      console.error("Error creating record:", error);
+      console.error("Error linking record:", error);
 
+      const message = error?.body?.message || error.message;
       this.dispatchEvent(
         new ShowToastEvent({
           title: "Error",
-          message: `Failed to create ${recordType}: ${error.message}`,
+          message:
+            verb === "created"
+              ? `${objectType} created, but linking it failed: ${message}`
+              : `Failed to link ${objectType}: ${message}`,
           variant: "error"
         })
       );
@@ -436,29 +1275,159 @@ export default class RraComponent extends NavigationMixin(LightningElement) {
 
   handleAsyncToggle(event) {
     this.useAsyncExecution = event.target.checked;
-    if (this.recordId) {
-      localStorage.setItem(`rra_${this.recordId}_useAsyncExecution`, this.useAsyncExecution);
-    }
+    this.saveResearchPreference({ useAsyncExecution: this.useAsyncExecution });
   }
 
   handleDeepWebSearchToggle(event) {
     this.useDeepWebSearch = event.target.checked;
-    if (this.recordId) {
-      localStorage.setItem(`rra_${this.recordId}_useDeepWebSearch`, this.useDeepWebSearch);
-    }
+    this.saveResearchPreference({ useDeepWebSearch: this.useDeepWebSearch });
   }
 
   handleRecordContextToggle(event) {
     this.useRecordContext = event.target.checked;
-    if (this.recordId) {
-      localStorage.setItem(`rra_${this.recordId}_useRecordContext`, this.useRecordContext);
-    }
+    this.saveResearchPreference({ useRecordContext: this.useRecordContext });
   }
 
   handleEntityMatcherModeChange(event) {
     this.entityMatcherMode = event.target.value;
-    if (this.recordId) {
-      localStorage.setItem(`rra_${this.recordId}_entityMatcherMode`, this.entityMatcherMode);
+    this.saveResearchPreference({ entityMatcherMode: this.entityMatcherMode });
+  }
+
+  async handleResetPreferences() {
+    try {
+      await resetResearchPreferences();
+    } catch (error) {
+      console.error("Error resetting research preferences:", error?.body?.message || error);
+    }
+    await this.loadResearchOptions();
+  }
+
+  handleLayoutChange(event) {
+    this.layoutId = event.detail.value;
+    localStorage.setItem("rra_graphLayout", this.layoutId);
+
+    // Re-render the existing graph data with the new layout; no need to rebuild it
+    if (this.graphData != null) {
+      this.renderGraph();
+    }
+  }
+
+  // Load the saved research again, e.g. after it failed to load
+  async handleRetryLoad() {
+    this.isLoading = true;
+    try {
+      await refreshApex(this.wiredRelationships);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleViewChange(event) {
+    this.viewMode = event.detail.value;
+    localStorage.setItem("rra_viewMode", this.viewMode);
+
+    // The graph can't be measured while hidden; draw it afresh once it is shown again
+    if (!this.isTableView) {
+      this.graphRendered = false;
+    }
+  }
+
+  handleTableSort(event) {
+    this.tableSortedBy = event.detail.fieldName;
+    this.tableSortDirection = event.detail.sortDirection;
+  }
+
+  handleTableSearch(event) {
+    this.tableSearchTerm = event.detail.value;
+  }
+
+  handleTableColumnFilterChange(event) {
+    const { filter } = event.target.dataset;
+    this.tableColumnFilters = { ...this.tableColumnFilters, [filter]: event.detail.value };
+  }
+
+  handleFilterChange(event) {
+    const { filter } = event.target.dataset;
+    const value = event.target.type === "toggle" ? event.target.checked : event.detail.value;
+    this.setFilters({ ...this.filters, [filter]: value });
+  }
+
+  handleResetFilters() {
+    this.setFilters({ ...GraphDataBuilder.DEFAULT_FILTERS });
+  }
+
+  // Save the filters as the user's preference, shared across records and browsers, and apply them
+  setFilters(filters) {
+    this.applyFilters(filters);
+    this.saveResearchPreference({ graphFilters: JSON.stringify(filters) });
+  }
+
+  // Filters saved with the user's preferences (RRAClientOptions.graphFilters), over the defaults
+  parseSavedFilters(graphFilters) {
+    if (!graphFilters) return { ...GraphDataBuilder.DEFAULT_FILTERS };
+    try {
+      return { ...GraphDataBuilder.DEFAULT_FILTERS, ...JSON.parse(graphFilters) };
+    } catch (e) {
+      console.error("Error parsing saved graph filters:", e.toString());
+      return { ...GraphDataBuilder.DEFAULT_FILTERS };
+    }
+  }
+
+  // Re-render the graph through GraphDataBuilder with the filters applied
+  applyFilters(filters) {
+    this.filters = filters;
+
+    if (this.relationshipData != null) {
+      this.graphData = this.buildGraphData();
+      this.renderGraph();
+    }
+  }
+
+  handleToggleLegend() {
+    this.showLegend = !this.showLegend;
+    localStorage.setItem("rra_graphLegend", this.showLegend);
+
+    if (this.graphData != null) {
+      this.renderGraph();
+    }
+  }
+
+  async handleExport(event) {
+    const format = event.detail.value;
+    const baseName = `relationships-${this.anchorName}`.replace(/[^\w-]+/g, "_").toLowerCase();
+
+    try {
+      if (format === "svg") {
+        const svg = await this.graph.toSvg();
+        downloadFile(`${baseName}.svg`, toDataUrl("image/svg+xml", svg));
+      } else if (format === "png") {
+        downloadFile(`${baseName}.png`, await this.graph.toPng());
+      } else if (format === "csv") {
+        const csv = GraphDataBuilder.toCsv(this.graphData);
+        downloadFile(`${baseName}.csv`, toDataUrl("text/csv", csv));
+      } else if (format === "graphml") {
+        const graphml = GraphDataBuilder.toGraphML(this.graphData);
+        downloadFile(`${baseName}.graphml`, toDataUrl("application/xml", graphml));
+      } else if (format === "feedback") {
+        const jsonl = GraphDataBuilder.toFeedbackJsonl(this.relationshipData);
+        downloadFile(`${baseName}-feedback.jsonl`, toDataUrl("application/jsonl", jsonl));
+      }
+    } catch (error) {
+      console.error("Error exporting graph:", error);
+
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: `Failed to export graph: ${error.message}`,
+          variant: "error"
+        })
+      );
+    }
+  }
+
+  handleFitToView() {
+    if (this.graph) {
+      this.graph.fitToView();
     }
   }
 
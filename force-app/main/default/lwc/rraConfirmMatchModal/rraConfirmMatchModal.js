@@ -6,41 +6,123 @@ export default class RraConfirmMatchModal extends LightningElement {
   @api objectApiName = null;
   @api nodeData = {};
 
-  @track isConfirming = false;
+  // Action awaiting the parent's response: "confirm", "reject", "retarget" or "unconfirm"
+  @track pendingAction = null;
+  @track isChoosingRecord = false;
+  @track replacementRecordId = null;
+
+  // Object of the matched record, as described by the parent (see RraComponent.withObjectType)
+  get matchedObjectApiName() {
+    return this.nodeData?.objectApiName;
+  }
 
   get isContact() {
-    return this.nodeData?.titlecaseRecordType === "Contact";
+    return this.matchedObjectApiName === "Contact";
   }
 
   get isAccount() {
-    return this.nodeData?.titlecaseRecordType === "Account";
+    return this.matchedObjectApiName === "Account";
   }
 
   get isLead() {
-    return this.nodeData?.titlecaseRecordType === "Lead";
+    return this.matchedObjectApiName === "Lead";
   }
 
   get isOpportunity() {
-    return this.nodeData?.titlecaseRecordType === "Opportunity";
+    return this.matchedObjectApiName === "Opportunity";
+  }
+
+  // Objects without a hand-picked field list show their compact layout instead
+  get isOtherObject() {
+    return !(this.isContact || this.isAccount || this.isLead || this.isOpportunity);
+  }
+
+  get heading() {
+    const label = this.nodeData?.objectLabel;
+    if (this.isConfirmed) {
+      return label ? `Confirmed ${label}` : "Confirmed Record";
+    }
+    return label ? `Verify Matching ${label}` : "Verify Matching Record";
+  }
+
+  get isConfirmed() {
+    return !!this.nodeData?.isCrmConfirmed;
+  }
+
+  get isBusy() {
+    return !!this.pendingAction;
   }
 
   get confirmButtonLabel() {
-    return this.isConfirming ? "Confirming..." : "Confirm";
+    return this.pendingAction === "confirm" ? "Confirming..." : "Confirm";
+  }
+
+  get rejectButtonLabel() {
+    return this.pendingAction === "reject" ? "Rejecting..." : "Not this record";
+  }
+
+  get unconfirmButtonLabel() {
+    return this.pendingAction === "unconfirm" ? "Un-confirming..." : "Un-confirm";
+  }
+
+  get retargetButtonLabel() {
+    return this.pendingAction === "retarget" ? "Linking..." : "Use this record";
+  }
+
+  get pickerLabel() {
+    return `Correct ${this.nodeData?.objectLabel ?? "record"}`;
+  }
+
+  get isRetargetDisabled() {
+    return this.isBusy || !this.replacementRecordId || this.replacementRecordId === this.recordId;
+  }
+
+  dispatchAction(action, detail = {}) {
+    this.pendingAction = action;
+    this.dispatchEvent(
+      new CustomEvent(action, {
+        detail: {
+          recordId: this.recordId,
+          objectApiName: this.objectApiName,
+          nodeId: this.nodeData.id,
+          nodeData: this.nodeData,
+          ...detail
+        }
+      })
+    );
   }
 
   handleConfirm() {
-    this.isConfirming = true;
+    this.dispatchAction("confirm");
+  }
+
+  handleReject() {
+    this.dispatchAction("reject");
+  }
 
-    const confirmEvent = new CustomEvent("confirm", {
-      detail: {
-        recordId: this.recordId,
-        objectApiName: this.objectApiName,
-        nodeId: this.nodeData.id,
-        nodeData: this.nodeData
-      }
-    });
+  handleUnconfirm() {
+    this.dispatchAction("unconfirm");
+  }
+
+  handleChooseRecord() {
+    this.isChoosingRecord = true;
+  }
+
+  handleCancelChooseRecord() {
+    this.isChoosingRecord = false;
+    this.replacementRecordId = null;
+  }
+
+  handleReplacementChange(event) {
+    this.replacementRecordId = event.detail.recordId;
+  }
+
+  handleRetarget() {
+    this.dispatchAction("retarget", { replacementRecordId: this.replacementRecordId });
+  }
 
-    this.dispatchEvent(confirmEvent);
+  handleView() {
+    this.dispatchEvent(new CustomEvent("view", { detail: { nodeData: this.nodeData } }));
   }
 
   handleClose() {
@@ -49,11 +131,14 @@ export default class RraConfirmMatchModal extends LightningElement {
 
   @api
   reset() {
-    this.isConfirming = false;
+    this.pendingAction = null;
+    this.isChoosingRecord = false;
+    this.replacementRecordId = null;
   }
 
+  // The parent failed to carry out the pending action; let the user try again
   @api
-  setConfirming(value) {
-    this.isConfirming = value;
+  setPendingAction(action) {
+    this.pendingAction = action;
   }
 }
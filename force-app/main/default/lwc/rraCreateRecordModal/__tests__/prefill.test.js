@@ -0,0 +1,46 @@
+import { citationDomain, prefillFields, splitPersonName } from "../prefill";
+
+describe("create record prefill", () => {
+  it("splits person names into first and last name", () => {
+    expect(splitPersonName("Jane van der Berg")).toEqual({
+      FirstName: "Jane",
+      LastName: "van der Berg"
+    });
+    expect(splitPersonName(" Cher ")).toEqual({ FirstName: "", LastName: "Cher" });
+  });
+
+  it("only takes domains from http and https citations", () => {
+    expect(citationDomain("https://www.acme.com/about?x=1")).toBe("acme.com");
+    expect(citationDomain(["javascript", "alert(1)"].join(":"))).toBe("");
+    expect(citationDomain("not a url")).toBe("");
+  });
+
+  it("prefills title for people and website for organizations", () => {
+    const person = {
+      label: "Jane Doe",
+      entityType: "person",
+      predicate: "CFO",
+      context: "Jane joined in 2020.",
+      citationURL: "https://news.example.com/a"
+    };
+    const organization = { ...person, label: "Acme", entityType: "organization" };
+    const description = "Jane joined in 2020.\n\nSource: https://news.example.com/a";
+
+    expect(prefillFields("Contact", person)).toEqual({
+      FirstName: "Jane",
+      LastName: "Doe",
+      Title: "CFO",
+      Description: description
+    });
+    expect(prefillFields("Lead", organization)).toEqual({
+      Company: "Acme",
+      Website: "news.example.com",
+      Description: description
+    });
+    expect(prefillFields("Account", organization)).toEqual({
+      Name: "Acme",
+      Website: "news.example.com",
+      Description: description
+    });
+  });
+});
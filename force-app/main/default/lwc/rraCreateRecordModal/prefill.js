@@ -0,0 +1,63 @@
+// Field values pre-filled in the create-record form from what research found out about an entity
+// (graph node data: label, entityType, predicate, context, citationURL).
+
+export const OBJECT_OPTIONS = Object.freeze([
+  { label: "Lead", value: "Lead" },
+  { label: "Contact", value: "Contact" },
+  { label: "Account", value: "Account" }
+]);
+
+export function isPerson(nodeData) {
+  return nodeData?.entityType?.toLowerCase() === "person";
+}
+
+export function defaultObjectApiName(nodeData) {
+  return isPerson(nodeData) ? "Contact" : "Account";
+}
+
+// "Jane van der Berg" -> { FirstName: "Jane", LastName: "van der Berg" }; single names become the
+// last name, which is the required one
+export function splitPersonName(name) {
+  const parts = (name ?? "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return { FirstName: "", LastName: parts[0] ?? "" };
+  return { FirstName: parts[0], LastName: parts.slice(1).join(" ") };
+}
+
+// Host of an http(s) citation URL without "www.", e.g. "acme.com"
+export function citationDomain(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:") return "";
+    return hostname.replace(/^www\./i, "");
+  } catch (e) {
+    return "";
+  }
+}
+
+// What research says about the entity, and where it says it
+export function describeEntity(nodeData) {
+  return [nodeData?.context, nodeData?.citationURL && `Source: ${nodeData.citationURL}`]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function prefillFields(objectApiName, nodeData) {
+  const name = nodeData?.label || nodeData?.id || "";
+  const person = isPerson(nodeData);
+  const title = person ? (nodeData?.predicate ?? "") : "";
+  const website = person ? "" : citationDomain(nodeData?.citationURL);
+  const description = describeEntity(nodeData);
+
+  switch (objectApiName) {
+    case "Contact":
+      return { ...splitPersonName(name), Title: title, Description: description };
+    case "Lead":
+      return person
+        ? { ...splitPersonName(name), Title: title, Description: description }
+        : { Company: name, Website: website, Description: description };
+    case "Account":
+      return { Name: name, Website: website, Description: description };
+    default:
+      return {};
+  }
+}
@@ -1,56 +1,122 @@
 import { LightningElement, api, track } from "lwc";
+import findDuplicateRecords from "@salesforce/apex/RRAClient.findDuplicateRecords";
+import { OBJECT_OPTIONS, defaultObjectApiName, prefillFields } from "./prefill";
 
 export default class RraCreateRecordModal extends LightningElement {
   @api isOpen = false;
   @api nodeData = {};
+  // Object of the record being researched, to offer relating the new record to it
+  @api anchorObjectApiName;
+
+  // Object pairs with a standard relationship, anchor object -> created objects (see
+  // CrmRelationshipLinker on the server)
+  static RELATABLE_OBJECTS = {
+    Account: ["Contact"],
+    Contact: ["Account"],
+    Opportunity: ["Contact"]
+  };
 
   @track isCreating = false;
+  relateToAnchor = true;
+  objectOptions = OBJECT_OPTIONS;
 
-  get objectApiName() {
-    const entityType = this.nodeData?.entityType?.toLowerCase();
+  // Object picked by the user; until then, one suited to the entity type
+  selectedObjectApiName = null;
 
-    if (entityType === "person") {
-      return "Contact";
-    } else {
-      return "Account";
-    }
+  // Existing records the new one would duplicate (see CrmDuplicateFinder), found when the user
+  // first saves; null until checked
+  duplicates = null;
+  isCheckingDuplicates = false;
+
+  get objectApiName() {
+    return this.selectedObjectApiName ?? defaultObjectApiName(this.nodeData);
   }
 
   get recordTypeLabel() {
-    return this.objectApiName === "Contact" ? "Contact" : "Account";
+    return this.objectApiName;
   }
 
   get isContactForm() {
     return this.objectApiName === "Contact";
   }
 
+  get isLeadForm() {
+    return this.objectApiName === "Lead";
+  }
+
   get isAccountForm() {
     return this.objectApiName === "Account";
   }
 
+  get hasDuplicates() {
+    return this.duplicates?.length > 0;
+  }
+
+  get duplicateItems() {
+    return (this.duplicates ?? []).map((d) => ({
+      ...d,
+      detail: d.matchedOn === "Name" ? "Same name" : `Matched by ${d.matchedOn}`
+    }));
+  }
+
+  get canRelateToAnchor() {
+    const relatable = RraCreateRecordModal.RELATABLE_OBJECTS[this.anchorObjectApiName] ?? [];
+    return relatable.includes(this.objectApiName);
+  }
+
+  get relateToAnchorLabel() {
+    const anchor = (this.anchorObjectApiName ?? "record").toLowerCase();
+    return this.objectApiName === "Contact" && this.anchorObjectApiName === "Opportunity"
+      ? `Add as a contact role on this ${anchor}`
+      : `Relate to this ${anchor}`;
+  }
+
   get saveButtonLabel() {
-    return this.isCreating ? "Creating..." : "Save";
+    if (this.isCheckingDuplicates) return "Checking...";
+    if (this.isCreating) return "Creating...";
+    return this.hasDuplicates ? "Save Anyway" : "Save";
+  }
+
+  get isSaveDisabled() {
+    return this.isCreating || this.isCheckingDuplicates;
   }
 
   get defaultFieldValues() {
-    const entityName = this.nodeData?.label || this.nodeData?.id || "";
-
-    if (this.objectApiName === "Contact") {
-      const nameParts = entityName.trim().split(" ");
-      const firstName = nameParts[0] || "";
-      const lastName = nameParts.slice(1).join(" ") || entityName;
-
-      return {
-        FirstName: firstName,
-        LastName: lastName
-      };
-    } else if (this.objectApiName === "Account") {
-      return {
-        Name: entityName
-      };
-    }
+    return prefillFields(this.objectApiName, this.nodeData);
+  }
+
+  // Current values of the form's fields, by field API name
+  getFieldValues() {
+    const values = {};
+    this.template.querySelectorAll("lightning-input-field").forEach((field) => {
+      if (field.value !== null && field.value !== undefined && field.value !== "") {
+        values[field.fieldName] = field.value;
+      }
+    });
+    return values;
+  }
 
-    return {};
+  handleObjectChange(event) {
+    this.selectedObjectApiName = event.detail.value;
+    this.duplicates = null;
+  }
+
+  // Link the entity to an existing record instead of creating a new one
+  handleLinkExisting(event) {
+    const match = this.duplicates.find((d) => d.id === event.currentTarget.dataset.id);
+    if (!match) return;
+
+    this.isCreating = true;
+    this.dispatchEvent(
+      new CustomEvent("link", {
+        detail: {
+          recordId: match.id,
+          objectType: match.objectApiName,
+          nodeId: this.nodeData.id,
+          relateToAnchor: this.canRelateToAnchor && this.relateToAnchor
+        }
+      })
+    );
   }
 
   handleRecordSuccess(event) {
@@ -61,6 +127,7 @@ export default class RraCreateRecordModal extends LightningElement {
         recordId: recordId,
         objectType: this.objectApiName,
         nodeId: this.nodeData.id,
+        relateToAnchor: this.canRelateToAnchor && this.relateToAnchor,
         sourceData: {
           entityName: this.nodeData.id || this.nodeData.label,
           context: this.nodeData.context,
@@ -73,17 +140,42 @@ export default class RraCreateRecordModal extends LightningElement {
     this.dispatchEvent(successEvent);
   }
 
+  handleRelateToAnchorChange(event) {
+    this.relateToAnchor = event.target.checked;
+  }
+
   handleRecordError(event) {
     console.error("Error creating record:", event.detail);
     this.isCreating = false;
   }
 
-  handleSave() {
-    this.isCreating = true;
+  // The first save checks for duplicates and stops if there are any; saving again creates the
+  // record regardless
+  async handleSave() {
     const recordEditForm = this.template.querySelector("lightning-record-edit-form");
-    if (recordEditForm) {
-      recordEditForm.submit();
+    if (!recordEditForm) return;
+
+    if (this.duplicates === null) {
+      this.isCheckingDuplicates = true;
+      try {
+        this.duplicates = JSON.parse(
+          await findDuplicateRecords({
+            objectApiName: this.objectApiName,
+            fields: this.getFieldValues()
+          })
+        );
+      } catch (error) {
+        console.error("Error checking for duplicates:", error?.body?.message || error);
+        this.duplicates = [];
+      } finally {
+        this.isCheckingDuplicates = false;
+      }
+
+      if (this.hasDuplicates) return;
     }
+
+    this.isCreating = true;
+    recordEditForm.submit();
   }
 
   handleClose() {
@@ -93,6 +185,9 @@ export default class RraCreateRecordModal extends LightningElement {
   @api
   reset() {
     this.isCreating = false;
+    this.relateToAnchor = true;
+    this.selectedObjectApiName = null;
+    this.duplicates = null;
   }
 
   @api
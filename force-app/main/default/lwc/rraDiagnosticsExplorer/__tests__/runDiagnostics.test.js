@@ -0,0 +1,145 @@
+import {
+  compareTimings,
+  diagnosticsFileName,
+  errorsOf,
+  fromDiagnosticsFile,
+  toDiagnosticsFile,
+  toPromptRuns,
+  toTree,
+  toWaterfall,
+  visibleRows
+} from "../runDiagnostics";
+
+const diagnostics = {
+  WebResearch: { error: "Timed out" },
+  CrmExtraction: { crmRecordCount: 4, insightsCount: 2 },
+  Benchmarks: [
+    { operation: "CrmExtraction", startedAt: 1500, completedAt: 2000, durationMs: 500 },
+    { operation: "WebResearch", startedAt: 1000, completedAt: 1500, durationMs: 500 }
+  ],
+  Prompts: [
+    {
+      template: "RRA_EntitiesFromCRM",
+      inputs: { "Input:Payload": "[]" },
+      output: '[{"entityName":"Globex"}]',
+      error: null,
+      startedAt: 1600,
+      completedAt: 1850
+    },
+    { template: "RRA_DeepWebResearch_Discovery", inputs: {}, error: "Limit exceeded" }
+  ]
+};
+
+describe("runDiagnostics", () => {
+  it("shows expanded entries, search matches with their ancestors, and errors", () => {
+    const tree = toTree(diagnostics);
+    expect(visibleRows(tree).map((row) => row.key)).toEqual([
+      "Benchmarks",
+      "CrmExtraction",
+      "Prompts",
+      "WebResearch"
+    ]);
+
+    const crmId = tree.find((node) => node.key === "CrmExtraction").id;
+    const expanded = visibleRows(tree, { expandedIds: new Set([crmId]) });
+    expect(expanded.map((row) => `${row.depth}:${row.key}`)).toEqual([
+      "0:Benchmarks",
+      "0:CrmExtraction",
+      "1:crmRecordCount",
+      "1:insightsCount",
+      "0:Prompts",
+      "0:WebResearch"
+    ]);
+
+    const matches = visibleRows(tree, { searchTerm: "COUNT" });
+    expect(matches.map((row) => [row.key, row.isMatch])).toEqual([
+      ["CrmExtraction", false],
+      ["crmRecordCount", true],
+      ["insightsCount", true]
+    ]);
+
+    expect(visibleRows(tree).find((row) => row.key === "WebResearch").hasError).toBe(true);
+    expect(errorsOf(tree).map(({ location, message }) => [location, message])).toEqual([
+      ["Prompts › 1", "Limit exceeded"],
+      ["WebResearch", "Timed out"]
+    ]);
+  });
+
+  it("lays out Benchmarker timings and compares them with another run", () => {
+    expect(toWaterfall(diagnostics)).toEqual([
+      {
+        key: "1",
+        operation: "WebResearch",
+        startMs: 0,
+        durationMs: 500,
+        offset: 0,
+        width: 50
+      },
+      {
+        key: "0",
+        operation: "CrmExtraction",
+        startMs: 500,
+        durationMs: 500,
+        offset: 50,
+        width: 50
+      }
+    ]);
+    expect(toWaterfall({ Benchmarks: [{ operation: "Unfinished", startedAt: 1 }] })).toEqual([]);
+
+    const other = {
+      Benchmarks: [
+        { operation: "WebResearch", startedAt: 0, completedAt: 800 },
+        { operation: "CrossSourceConsolidation", startedAt: 800, completedAt: 900 }
+      ]
+    };
+    expect(
+      compareTimings(diagnostics, other).map((row) => [
+        row.operation,
+        row.durationMs,
+        row.otherDurationMs,
+        row.deltaMs
+      ])
+    ).toEqual([
+      ["WebResearch", 500, 800, -300],
+      ["CrmExtraction", 500, null, null],
+      ["CrossSourceConsolidation", null, 100, null]
+    ]);
+  });
+
+  it("lists prompt runs with their inputs, output and error", () => {
+    const [crm, discovery] = toPromptRuns(diagnostics);
+    expect(crm).toMatchObject({
+      title: "1. RRA_EntitiesFromCRM",
+      inputs: [{ name: "Input:Payload", value: "[]" }],
+      output: '[{"entityName":"Globex"}]',
+      error: null,
+      durationMs: 250
+    });
+    expect(discovery).toMatchObject({
+      title: "2. RRA_DeepWebResearch_Discovery",
+      error: "Limit exceeded",
+      durationMs: null
+    });
+  });
+
+  it("round-trips runs through files and reads plain diagnostics JSON", () => {
+    const file = toDiagnosticsFile(diagnostics, {
+      recordId: "001xx",
+      runName: "Acme",
+      exportedAt: "2024-05-01T10:00:00.000Z"
+    });
+    expect(fromDiagnosticsFile(file)).toEqual({
+      diagnostics,
+      recordId: "001xx",
+      runName: "Acme",
+      exportedAt: "2024-05-01T10:00:00.000Z"
+    });
+    expect(fromDiagnosticsFile(JSON.stringify(diagnostics))).toEqual({ diagnostics });
+
+    expect(() => fromDiagnosticsFile("{oops")).toThrow("not valid JSON");
+    expect(() => fromDiagnosticsFile("[]")).toThrow("does not contain diagnostics");
+    expect(diagnosticsFileName("Acme Corp.", "2024-05-01T10:00:00.000Z")).toBe(
+      "diagnostics-acme_corp_-2024-05-01t10_00_00.json"
+    );
+  });
+});
@@ -0,0 +1,224 @@
+import { LightningElement, api } from "lwc";
+import { downloadFile, toDataUrl } from "c/rraGraph";
+import {
+  compareTimings,
+  diagnosticsFileName,
+  errorsOf,
+  formatDuration,
+  fromDiagnosticsFile,
+  parseDiagnostics,
+  toDiagnosticsFile,
+  toPromptRuns,
+  toTree,
+  toWaterfall,
+  visibleRows
+} from "./runDiagnostics";
+
+const RUN_CURRENT = "current";
+const RUN_LOADED = "loaded";
+
+// Explorer for a research run's diagnostics (see runDiagnostics): errors, a timing waterfall, the
+// prompt templates that ran and every entry as a searchable tree.  The run can be downloaded as a
+// file, and a downloaded run loaded back in to explore it or compare its timings with this one.
+export default class RraDiagnosticsExplorer extends LightningElement {
+  @api recordId;
+  // Names the run in downloaded file names, e.g. the anchor entity
+  @api runName;
+
+  searchTerm = "";
+  expandedIds = [];
+  loadedRun = null;
+  loadError = null;
+  selectedRun = RUN_CURRENT;
+  currentDiagnostics = null;
+  // The shown run's entries as a tree (see toTree) and its errors, rebuilt when the run changes
+  tree = [];
+  errors = [];
+  _diagnosticsJson;
+
+  // Diagnostics__c JSON of the record's latest run
+  @api
+  get diagnosticsJson() {
+    return this._diagnosticsJson;
+  }
+  set diagnosticsJson(value) {
+    this._diagnosticsJson = value;
+    this.currentDiagnostics = parseDiagnostics(value);
+    this.buildTree();
+  }
+
+  get isShowingLoadedRun() {
+    return this.selectedRun === RUN_LOADED && !!this.loadedRun;
+  }
+
+  get diagnostics() {
+    return this.isShowingLoadedRun ? this.loadedRun.diagnostics : this.currentDiagnostics;
+  }
+
+  get hasDiagnostics() {
+    return !!this.diagnostics && Object.keys(this.diagnostics).length > 0;
+  }
+
+  get isDownloadDisabled() {
+    return !this.currentDiagnostics;
+  }
+
+  get rows() {
+    return visibleRows(this.tree, {
+      expandedIds: new Set(this.expandedIds),
+      searchTerm: this.searchTerm
+    }).map((row) => ({
+      ...row,
+      rowClass: [
+        "diagnostics-row",
+        row.isError ? "diagnostics-row--error" : "",
+        row.isMatch ? "diagnostics-row--match" : ""
+      ].join(" "),
+      indentStyle: `padding-left: ${row.depth * 1.25}rem`,
+      toggleIcon: row.isExpanded ? "utility:chevrondown" : "utility:chevronright",
+      toggleLabel: row.isExpanded ? `Collapse ${row.key}` : `Expand ${row.key}`,
+      showErrorIcon: row.hasError && !row.isError
+    }));
+  }
+
+  get hasRows() {
+    return this.rows.length > 0;
+  }
+
+  get hasErrors() {
+    return this.errors.length > 0;
+  }
+
+  get waterfall() {
+    return toWaterfall(this.diagnostics).map((bar) => ({
+      ...bar,
+      barStyle: `margin-left: ${bar.offset}%; width: ${bar.width}%`,
+      label: `${bar.operation}: ${formatDuration(bar.durationMs)}`,
+      durationLabel: formatDuration(bar.durationMs)
+    }));
+  }
+
+  get hasWaterfall() {
+    return this.waterfall.length > 0;
+  }
+
+  get timingComparison() {
+    if (!this.loadedRun) return [];
+    return compareTimings(this.currentDiagnostics, this.loadedRun.diagnostics).map((row) => ({
+      ...row,
+      durationLabel: formatDuration(row.durationMs),
+      otherDurationLabel: formatDuration(row.otherDurationMs),
+      deltaLabel: row.deltaMs === null ? "–" : `${row.deltaMs > 0 ? "+" : ""}${row.deltaMs} ms`,
+      deltaClass: row.deltaMs > 0 ? "slds-text-color_error" : "slds-text-color_success"
+    }));
+  }
+
+  get hasTimingComparison() {
+    return this.timingComparison.length > 0;
+  }
+
+  get promptRuns() {
+    return toPromptRuns(this.diagnostics).map((run) => ({
+      ...run,
+      summaryClass: run.error
+        ? "diagnostics-prompt diagnostics-prompt--error"
+        : "diagnostics-prompt",
+      durationLabel: formatDuration(run.durationMs)
+    }));
+  }
+
+  get hasPromptRuns() {
+    return this.promptRuns.length > 0;
+  }
+
+  get runOptions() {
+    return [
+      { label: "This record's run", value: RUN_CURRENT },
+      { label: `Loaded: ${this.loadedRun?.label}`, value: RUN_LOADED }
+    ];
+  }
+
+  handleSearch(event) {
+    this.searchTerm = event.target.value ?? "";
+  }
+
+  handleToggle(event) {
+    const { id } = event.currentTarget.dataset;
+    this.expandedIds = this.expandedIds.includes(id)
+      ? this.expandedIds.filter((expandedId) => expandedId !== id)
+      : [...this.expandedIds, id];
+  }
+
+  handleExpandAll() {
+    const ids = [];
+    const visit = (node) => {
+      if (node.children.length > 0) {
+        ids.push(node.id);
+        node.children.forEach(visit);
+      }
+    };
+    this.tree.forEach(visit);
+    this.expandedIds = ids;
+  }
+
+  handleCollapseAll() {
+    this.expandedIds = [];
+  }
+
+  // Shows an error's entry in the tree
+  handleRevealError(event) {
+    const error = this.errors.find((e) => e.id === event.currentTarget.dataset.id);
+    if (!error) return;
+
+    this.searchTerm = "";
+    this.expandedIds = [...new Set([...this.expandedIds, ...error.ancestorIds])];
+  }
+
+  handleRunChange(event) {
+    this.selectedRun = event.detail.value;
+    this.expandedIds = [];
+    this.buildTree();
+  }
+
+  handleDownload() {
+    const exportedAt = new Date().toISOString();
+    const file = toDiagnosticsFile(this.currentDiagnostics, {
+      recordId: this.recordId,
+      runName: this.runName,
+      exportedAt
+    });
+    downloadFile(
+      diagnosticsFileName(this.runName, exportedAt),
+      toDataUrl("application/json", file)
+    );
+  }
+
+  async handleLoadFile(event) {
+    const [file] = event.target.files ?? [];
+    if (!file) return;
+
+    try {
+      const run = fromDiagnosticsFile(await file.text());
+      const recordedAt = run.exportedAt ? ` (${run.exportedAt.slice(0, 10)})` : "";
+      this.loadedRun = { ...run, label: `${file.name}${recordedAt}` };
+      this.loadError = null;
+      this.selectedRun = RUN_LOADED;
+      this.expandedIds = [];
+      this.buildTree();
+    } catch (error) {
+      this.loadError = `Couldn't load ${file.name}: ${error.message}`;
+    }
+  }
+
+  handleClearLoadedRun() {
+    this.loadedRun = null;
+    this.selectedRun = RUN_CURRENT;
+    this.expandedIds = [];
+    this.buildTree();
+  }
+
+  buildTree() {
+    this.tree = toTree(this.diagnostics);
+    this.errors = errorsOf(this.tree);
+  }
+}
@@ -0,0 +1,292 @@
+// Views of a research run's diagnostics (RRARelationships__c.Diagnostics__c, written through
+// RRADiagnostics) for rraDiagnosticsExplorer:
+//
+//   toTree / visibleRows  every entry as a collapsible tree, filtered by key
+//   errorsOf              entries recording an error (e.g. RRADiagnostics.recordFailure)
+//   toWaterfall           the run's Benchmarker timings
+//   toPromptRuns          each prompt template run (EinsteinPromptService.prompt)
+//
+// and the file format runs are downloaded in and loaded back from for comparison.
+
+// Benchmarker.DIAGNOSTICS_KEY and EinsteinPromptService.DIAGNOSTICS_KEY
+export const BENCHMARKS_KEY = "Benchmarks";
+export const PROMPTS_KEY = "Prompts";
+
+export const FILE_FORMAT = "rra-diagnostics";
+const FILE_FORMAT_VERSION = 1;
+
+const PREVIEW_LENGTH = 120;
+
+export function parseDiagnostics(json) {
+  if (!json) return null;
+  try {
+    const diagnostics = JSON.parse(json);
+    return isObject(diagnostics) ? diagnostics : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Tree nodes for the entries of diagnostics, object keys sorted and list entries in order:
+//   { id, key, path, ancestorIds, depth, preview, value, children, isError, hasError }
+// value is the full text of a leaf; isError marks a non-empty "error" entry and hasError a node
+// with one at or below it.
+export function toTree(diagnostics) {
+  return isObject(diagnostics) ? childrenOf(diagnostics, []) : [];
+}
+
+function toNode(key, value, ancestors) {
+  const path = [...ancestors.map((a) => a.key), String(key)];
+  const node = {
+    id: JSON.stringify(path),
+    key: String(key),
+    path,
+    ancestorIds: ancestors.map((a) => a.id),
+    depth: ancestors.length,
+    preview: previewOf(value),
+    value: isContainer(value) ? undefined : textOf(value),
+    isError: key === "error" && value !== null && value !== ""
+  };
+  node.children = isContainer(value) ? childrenOf(value, [...ancestors, node]) : [];
+  node.hasError = node.isError || node.children.some((child) => child.hasError);
+  return node;
+}
+
+function childrenOf(value, ancestors) {
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.keys(value)
+        .sort()
+        .map((key) => [key, value[key]]);
+  return entries.map(([key, item]) => toNode(key, item, ancestors));
+}
+
+// The rows to show for tree: each expanded node's children or, with a search term, the nodes whose
+// key contains it, their ancestors (expanded) and whatever the user expands below a match.
+//   { id, key, depth, preview, value, hasChildren, isExpanded, isMatch, isError, hasError }
+export function visibleRows(tree, { expandedIds = new Set(), searchTerm = "" } = {}) {
+  const term = searchTerm.trim().toLowerCase();
+  const rows = [];
+
+  const visit = (node, isInsideMatch) => {
+    const isMatch = !!term && node.key.toLowerCase().includes(term);
+    const hasMatchBelow = !!term && node.children.some((child) => containsMatch(child, term));
+    if (term && !isInsideMatch && !isMatch && !hasMatchBelow) return;
+
+    const isExpanded = node.children.length > 0 && (hasMatchBelow || expandedIds.has(node.id));
+    rows.push({
+      id: node.id,
+      key: node.key,
+      depth: node.depth,
+      preview: node.preview,
+      value: node.value,
+      hasChildren: node.children.length > 0,
+      isExpanded,
+      isMatch,
+      isError: node.isError,
+      hasError: node.hasError
+    });
+    if (isExpanded) {
+      node.children.forEach((child) => visit(child, isInsideMatch || isMatch));
+    }
+  };
+
+  tree.forEach((node) => visit(node, false));
+  return rows;
+}
+
+function containsMatch(node, term) {
+  return (
+    node.key.toLowerCase().includes(term) ||
+    node.children.some((child) => containsMatch(child, term))
+  );
+}
+
+// { id, ancestorIds, location, message } for each error entry in tree, in tree order; location is
+// the path of the entry that has the error
+export function errorsOf(tree) {
+  const errors = [];
+  const visit = (node) => {
+    if (node.isError) {
+      errors.push({
+        id: node.id,
+        ancestorIds: node.ancestorIds,
+        location: node.path.slice(0, -1).join(" › ") || "(top level)",
+        message: node.value
+      });
+    }
+    node.children.forEach(visit);
+  };
+  tree.forEach(visit);
+  return errors;
+}
+
+// One bar per Benchmarker entry, in start order, with its offset and width as percentages of the
+// time from the first start to the last finish
+export function toWaterfall(diagnostics) {
+  const timings = listOf(diagnostics, BENCHMARKS_KEY).filter(hasTiming);
+  if (timings.length === 0) return [];
+
+  const runStart = Math.min(...timings.map((t) => t.startedAt));
+  const span = Math.max(Math.max(...timings.map((t) => t.completedAt)) - runStart, 1);
+
+  return timings
+    .map((t, index) => ({ ...t, index }))
+    .sort((a, b) => a.startedAt - b.startedAt || a.index - b.index)
+    .map((t) => ({
+      key: `${t.index}`,
+      operation: t.operation ?? "(unnamed)",
+      startMs: t.startedAt - runStart,
+      durationMs: t.completedAt - t.startedAt,
+      offset: percent(t.startedAt - runStart, span),
+      width: percent(t.completedAt - t.startedAt, span)
+    }));
+}
+
+// Durations of the Benchmarker operations of two runs, matched by operation name (and occurrence,
+// for operations timed more than once): the first run's in order, then those only the other has.
+//   { key, operation, durationMs, otherDurationMs, deltaMs }
+export function compareTimings(diagnostics, otherDiagnostics) {
+  const byOperation = (d) => {
+    const counts = new Map();
+    return new Map(
+      toWaterfall(d).map((bar) => {
+        const occurrence = (counts.get(bar.operation) ?? 0) + 1;
+        counts.set(bar.operation, occurrence);
+        return [`${bar.operation}#${occurrence}`, bar];
+      })
+    );
+  };
+
+  const timings = byOperation(diagnostics);
+  const otherTimings = byOperation(otherDiagnostics);
+  const keys = [...new Set([...timings.keys(), ...otherTimings.keys()])];
+
+  return keys.map((key) => {
+    const durationMs = timings.get(key)?.durationMs ?? null;
+    const otherDurationMs = otherTimings.get(key)?.durationMs ?? null;
+    return {
+      key,
+      operation: (timings.get(key) ?? otherTimings.get(key)).operation,
+      durationMs,
+      otherDurationMs,
+      deltaMs: durationMs !== null && otherDurationMs !== null ? durationMs - otherDurationMs : null
+    };
+  });
+}
+
+// One entry per prompt template run, in run order:
+//   { key, template, title, inputs: [{ key, name, value }], output, error, durationMs }
+export function toPromptRuns(diagnostics) {
+  return listOf(diagnostics, PROMPTS_KEY)
+    .filter(isObject)
+    .map((run, index) => {
+      const template = run.template ?? "(unknown template)";
+      const inputs = isObject(run.inputs) ? run.inputs : {};
+      return {
+        key: `${index}`,
+        template,
+        title: `${index + 1}. ${template}`,
+        inputs: Object.keys(inputs).map((name) => ({
+          key: name,
+          name,
+          value: textOf(inputs[name])
+        })),
+        output: run.output ?? null,
+        error: run.error || null,
+        durationMs: hasTiming(run) ? run.completedAt - run.startedAt : null
+      };
+    });
+}
+
+// A run's diagnostics as a file to download, with what it was recorded for
+export function toDiagnosticsFile(
+  diagnostics,
+  { recordId, runName, exportedAt = new Date().toISOString() } = {}
+) {
+  return JSON.stringify(
+    {
+      format: FILE_FORMAT,
+      formatVersion: FILE_FORMAT_VERSION,
+      recordId,
+      runName,
+      exportedAt,
+      diagnostics
+    },
+    null,
+    2
+  );
+}
+
+// Reads a file written by toDiagnosticsFile, or plain Diagnostics__c JSON (e.g. copied from the
+// debug panel), into { diagnostics, recordId?, runName?, exportedAt? }.  Throws an Error with a
+// message for the user when the file holds neither.
+export function fromDiagnosticsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!isObject(data)) {
+    throw new Error("The file does not contain diagnostics.");
+  }
+  if (data.format !== FILE_FORMAT) {
+    return { diagnostics: data };
+  }
+  if (!isObject(data.diagnostics)) {
+    throw new Error("The file does not contain diagnostics.");
+  }
+
+  const { diagnostics, recordId, runName, exportedAt } = data;
+  return { diagnostics, recordId, runName, exportedAt };
+}
+
+export function diagnosticsFileName(runName, exportedAt = new Date().toISOString()) {
+  const base = `diagnostics-${runName ?? "run"}-${exportedAt.slice(0, 19)}`;
+  return `${base.replace(/[^\w-]+/g, "_").toLowerCase()}.json`;
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "–";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function listOf(diagnostics, key) {
+  return Array.isArray(diagnostics?.[key]) ? diagnostics[key] : [];
+}
+
+function hasTiming(entry) {
+  return (
+    isObject(entry) &&
+    Number.isFinite(entry.startedAt) &&
+    Number.isFinite(entry.completedAt) &&
+    entry.completedAt >= entry.startedAt
+  );
+}
+
+function percent(part, whole) {
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+function previewOf(value) {
+  if (Array.isArray(value)) return `[${value.length} ${value.length === 1 ? "item" : "items"}]`;
+  if (isObject(value)) {
+    const count = Object.keys(value).length;
+    return `{${count} ${count === 1 ? "key" : "keys"}}`;
+  }
+  const text = JSON.stringify(value) ?? "undefined";
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+function textOf(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === "object";
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
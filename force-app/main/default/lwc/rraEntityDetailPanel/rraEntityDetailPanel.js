@@ -0,0 +1,89 @@
+import { LightningElement, api } from "lwc";
+import { FEEDBACK, crmStatusOf, formatScore, safeUrl } from "c/rraGraph";
+
+const ENTITY_TYPE_LABELS = { person: "Person", organization: "Organization" };
+
+// Details of a graph node (see GraphDataBuilder.build): each relationship with its full context,
+// citation and scores, the CRM match and, for matched entities, the record's compact layout loaded
+// through Lightning Data Service.  Actions are handled by the parent: "open", "confirm" and
+// "create" as for a node click, "feedback" ({ uuid, predicate, feedback }) and "close".
+export default class RraEntityDetailPanel extends LightningElement {
+  @api nodeData;
+
+  get title() {
+    return this.nodeData?.label ?? this.nodeData?.id;
+  }
+
+  get entityTypeLabel() {
+    const type = this.nodeData?.entityType?.toLowerCase();
+    return ENTITY_TYPE_LABELS[type] ?? this.nodeData?.entityType;
+  }
+
+  get crmStatus() {
+    return crmStatusOf(this.nodeData ?? {});
+  }
+
+  get hasRecord() {
+    return !!this.nodeData?.recordId;
+  }
+
+  // The record form needs the object's API name, which withObjectType adds once it is described
+  get showRecordForm() {
+    return this.hasRecord && !!this.nodeData.objectApiName;
+  }
+
+  get canConfirm() {
+    return this.hasRecord && this.nodeData.source === "web";
+  }
+
+  get confirmLabel() {
+    return this.nodeData?.isCrmConfirmed ? "Review Match" : "Confirm Match";
+  }
+
+  get relationships() {
+    const relationships = this.nodeData?.relationships?.length
+      ? this.nodeData.relationships
+      : [this.nodeData ?? {}];
+
+    return relationships.map((r, i) => {
+      const isHidden = !!FEEDBACK[r.feedback]?.isHidden;
+      return {
+        key: r.uuid ?? `${i}`,
+        uuid: r.uuid,
+        predicate: r.predicate,
+        context: r.context,
+        citation: r.citation ?? r.citationURL,
+        citationURL: safeUrl(r.citationURL),
+        confidenceLabel: formatScore(r.confidenceScore, "–"),
+        importanceLabel: formatScore(r.importanceScore, "–"),
+        feedbackLabel: FEEDBACK[r.feedback]?.label,
+        canDismiss: !!r.uuid,
+        dismissLabel: isHidden ? "Restore" : FEEDBACK.dismissed.action,
+        dismissFeedback: isHidden ? "" : "dismissed"
+      };
+    });
+  }
+
+  handleOpen() {
+    this.dispatchEvent(new CustomEvent("open"));
+  }
+
+  handleConfirm() {
+    this.dispatchEvent(new CustomEvent("confirm"));
+  }
+
+  handleCreate() {
+    this.dispatchEvent(new CustomEvent("create"));
+  }
+
+  handleDismiss(event) {
+    const { uuid, predicate, feedback } = event.currentTarget.dataset;
+    this.dispatchEvent(
+      new CustomEvent("feedback", { detail: { uuid, predicate, feedback: feedback || null } })
+    );
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent("close"));
+  }
+}
@@ -0,0 +1,98 @@
+import {
+  CURRENT_SCHEMA_VERSION,
+  ENVELOPE_MIGRATIONS,
+  GraphDataBuilder,
+  hasFatalError,
+  parseEnvelope
+} from "c/rraGraph";
+
+const codes = (errors) => errors.map((e) => e.code);
+
+describe("parseEnvelope", () => {
+  it("passes current envelopes through and reports invalid entries", () => {
+    const globex = { entityName: "Globex", predicate: "partner" };
+    const { envelope, errors } = parseEnvelope(
+      JSON.stringify({
+        schemaVersion: "2",
+        anchorEntity: { entityName: "Acme" },
+        relatedEntities: [globex, { entityName: "Initech" }, { predicate: "investor" }, "junk"]
+      })
+    );
+
+    expect(envelope.relatedEntities).toEqual([globex]);
+    expect(errors).toEqual([
+      expect.objectContaining({ code: "MISSING_PREDICATE", index: 1, entityName: "Initech" }),
+      expect.objectContaining({ code: "MISSING_ENTITY_NAME", index: 2 }),
+      expect.objectContaining({ code: "NOT_AN_OBJECT", index: 3 })
+    ]);
+    expect(hasFatalError(errors)).toBe(false);
+  });
+
+  it("keeps the loaded entity objects", () => {
+    const entity = { entityName: "Globex", predicate: "partner" };
+    const { envelope } = parseEnvelope({
+      schemaVersion: 2,
+      anchorEntity: { entityName: "Acme" },
+      relatedEntities: [entity]
+    });
+
+    expect(envelope.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(envelope.relatedEntities[0]).toBe(entity);
+  });
+
+  it("migrates pre-envelope subject-predicate-object lists", () => {
+    expect(Object.keys(ENVELOPE_MIGRATIONS)).toContain("1");
+
+    const { envelope, errors } = parseEnvelope([
+      { subjectName: "Jane Doe", predicate: "CEO of", objectName: "Acme Corp", citation: "x" },
+      { subjectName: "ACME Corporation", predicate: "acquired", objectName: "Globex" },
+      { subjectName: "Initech", predicate: "supplier of", objectName: "Hooli" }
+    ]);
+
+    expect(envelope.anchorEntity.entityName).toBe("Acme Corp");
+    expect(envelope.relatedEntities).toEqual([
+      { entityName: "Jane Doe", predicate: "CEO of", citation: "x" },
+      { entityName: "Globex", predicate: "acquired" }
+    ]);
+    expect(errors).toEqual([
+      expect.objectContaining({ code: "NOT_ABOUT_ANCHOR", index: 2, entityName: "Initech" })
+    ]);
+  });
+
+  it("reads newer versions as the current one, with a warning", () => {
+    const { envelope, errors } = parseEnvelope({
+      schemaVersion: "3",
+      anchorEntity: { entityName: "Acme" },
+      relatedEntities: [{ entityName: "Globex", predicate: "partner" }]
+    });
+
+    expect(envelope.relatedEntities).toHaveLength(1);
+    expect(codes(errors)).toEqual(["NEWER_VERSION"]);
+  });
+
+  it("explains why nothing can be shown", () => {
+    expect(codes(parseEnvelope("{not json").errors)).toEqual(["INVALID_JSON"]);
+    expect(codes(parseEnvelope(null).errors)).toEqual(["NOT_AN_ENVELOPE"]);
+    expect(codes(parseEnvelope({ schemaVersion: "beta" }).errors)).toEqual(["UNKNOWN_VERSION"]);
+    expect(codes(parseEnvelope({ schemaVersion: "2", relatedEntities: [] }).errors)).toEqual([
+      "MISSING_ANCHOR"
+    ]);
+
+    const { envelope, errors } = parseEnvelope({
+      schemaVersion: "2",
+      anchorEntity: { entityName: "Acme" }
+    });
+    expect(envelope).toBeNull();
+    expect(hasFatalError(errors)).toBe(true);
+  });
+
+  it("lets GraphDataBuilder draw migrated envelopes", () => {
+    const builder = new GraphDataBuilder([
+      { subjectName: "Jane Doe", predicate: "CEO of", objectName: "Acme" },
+      { subjectName: "Acme", predicate: "acquired", objectName: "Globex" }
+    ]);
+
+    expect(builder.build().nodes.map((n) => n.id)).toEqual(["Acme", "Jane Doe", "Globex"]);
+    expect(new GraphDataBuilder({ schemaVersion: "0" }).errors[0].code).toBe("UNKNOWN_VERSION");
+  });
+});
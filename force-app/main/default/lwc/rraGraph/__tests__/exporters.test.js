@@ -0,0 +1,102 @@
+import { GraphDataBuilder, downloadFile, toDataUrl } from "c/rraGraph";
+
+function buildGraph(options) {
+  return new GraphDataBuilder({
+    schemaVersion: "2",
+    anchorEntity: { entityName: "Acme" },
+    relatedEntities: [
+      {
+        entityName: "Globex, Inc",
+        predicate: "supplier of",
+        source: "web",
+        confidenceScore: 0.8,
+        citationURL: "https://example.com/a?x=1&y=2"
+      },
+      { entityName: "Globex, Inc", predicate: "investor in", source: "crm" },
+      { entityName: "=cmd", predicate: 'said "hi"', source: "web" }
+    ]
+  }).build(options);
+}
+
+describe("GraphDataBuilder exports", () => {
+  it("writes one CSV row per relationship, including overflow entities", () => {
+    const csv = GraphDataBuilder.toCsv(buildGraph({ maxNodes: 1 }));
+
+    expect(csv.split("\r\n")).toEqual([
+      "Entity,Predicate,Source,Confidence,Citation URL",
+      '"Globex, Inc",supplier of,web,0.8,https://example.com/a?x=1&y=2',
+      '"Globex, Inc",investor in,crm,,',
+      `'=cmd,"said ""hi""",web,,`,
+      ""
+    ]);
+  });
+
+  it("writes GraphML nodes and multi-predicate edges", () => {
+    const graphml = GraphDataBuilder.toGraphML(buildGraph());
+    const doc = new DOMParser().parseFromString(graphml, "application/xml");
+
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    expect(doc.getElementsByTagName("node")).toHaveLength(3);
+
+    const [edge] = doc.getElementsByTagName("edge");
+    const data = Object.fromEntries(
+      [...edge.getElementsByTagName("data")].map((d) => [d.getAttribute("key"), d.textContent])
+    );
+    expect(edge.getAttribute("source")).toBe("Acme");
+    expect(edge.getAttribute("target")).toBe("Globex, Inc");
+    expect(data).toMatchObject({
+      predicate: "supplier of; investor in",
+      source: "web; crm",
+      relationshipCount: "2",
+      citationURL: "https://example.com/a?x=1&y=2"
+    });
+  });
+
+  it("writes relationships with feedback as JSON Lines", () => {
+    const jsonl = GraphDataBuilder.toFeedbackJsonl({
+      schemaVersion: "2",
+      anchorEntity: { entityName: "Acme", entityType: "organization" },
+      relatedEntities: [
+        { uuid: "1", entityName: "Globex", predicate: "partner of" },
+        {
+          uuid: "2",
+          entityName: "Initech",
+          predicate: "supplier of",
+          feedback: "incorrect",
+          feedbackReason: "Contract ended in 2019"
+        },
+        { uuid: "3", entityName: "Umbrella", predicate: "investor in", feedback: "endorsed" }
+      ]
+    });
+
+    const lines = jsonl
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({
+      anchor: { entityName: "Acme", entityType: "organization" },
+      relationship: { uuid: "2", entityName: "Initech", predicate: "supplier of" },
+      feedback: "incorrect",
+      reason: "Contract ended in 2019"
+    });
+    expect(lines[1]).toMatchObject({ feedback: "endorsed", reason: null });
+  });
+});
+
+describe("file downloads", () => {
+  it("saves text as a data URL through a temporary link", () => {
+    const url = toDataUrl("text/csv", "a,b\n1,2");
+    expect(url).toBe("data:text/csv;charset=utf-8,a%2Cb%0A1%2C2");
+
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      expect(this.download).toBe("rows.csv");
+      expect(this.href).toBe(url);
+    });
+    downloadFile("rows.csv", url);
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(document.body.children).toHaveLength(0);
+    click.mockRestore();
+  });
+});
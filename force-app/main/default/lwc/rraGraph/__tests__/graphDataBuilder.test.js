@@ -0,0 +1,175 @@
+import { GraphDataBuilder } from "c/rraGraph";
+
+function envelope(relatedEntities) {
+  return {
+    schemaVersion: "2",
+    anchorEntity: { entityName: "Acme", entityType: "organization" },
+    relatedEntities
+  };
+}
+
+describe("GraphDataBuilder", () => {
+  it("copies predicate, confidence and citation onto links", () => {
+    const graph = new GraphDataBuilder(
+      envelope([
+        {
+          entityName: "Globex",
+          predicate: "acquired",
+          confidenceScore: 0.9,
+          citation: "Press release",
+          citationURL: "https://example.com/globex"
+        }
+      ])
+    ).build();
+
+    expect(graph.links).toEqual([
+      expect.objectContaining({
+        source: "Acme",
+        target: "Globex",
+        predicate: "acquired",
+        confidenceScore: 0.9,
+        citation: "Press release",
+        citationURL: "https://example.com/globex"
+      })
+    ]);
+    expect(graph.nodes.find((n) => n.id === "Globex").predicate).toBe("acquired");
+  });
+
+  it("collapses entities beyond maxNodes into an overflow node", () => {
+    const related = Array.from({ length: 5 }, (_, i) => ({
+      entityName: `Entity ${i}`,
+      predicate: "partner of"
+    }));
+
+    const graph = new GraphDataBuilder(envelope(related)).build({ maxNodes: 3 });
+
+    const overflow = graph.nodes.find((n) => n.isOverflow);
+    expect(graph.nodes).toHaveLength(5); // anchor + 3 + overflow
+    expect(overflow).toMatchObject({ label: "+2 more", overflowCount: 2 });
+    expect(overflow.hiddenNodes.map((n) => n.id)).toEqual(["Entity 3", "Entity 4"]);
+    expect(graph.links.filter((l) => l.isOverflow)).toHaveLength(1);
+
+    const expanded = GraphDataBuilder.expandOverflow(graph);
+    expect(expanded.nodes).toHaveLength(6);
+    expect(expanded.links).toHaveLength(5);
+    expect(GraphDataBuilder.applyNodeLimit(graph, 3)).toEqual(graph);
+  });
+
+  it("keeps every entity when maxNodes is null", () => {
+    const related = Array.from({ length: 12 }, (_, i) => ({
+      entityName: `Entity ${i}`,
+      predicate: "partner of"
+    }));
+
+    const graph = new GraphDataBuilder(envelope(related)).build({ maxNodes: null });
+
+    expect(graph.nodes).toHaveLength(13);
+    expect(graph.nodes.some((n) => n.isOverflow)).toBe(false);
+  });
+
+  it("merges several relationships to the same entity into one edge", () => {
+    const graph = new GraphDataBuilder(
+      envelope([
+        { uuid: "1", entityName: "Acme Supply", predicate: "supplier of", confidenceScore: 0.6 },
+        {
+          uuid: "2",
+          entityName: "Acme Supply",
+          predicate: "investor in",
+          confidenceScore: 0.8,
+          citationURL: "https://example.com/round"
+        }
+      ])
+    ).build();
+
+    expect(graph.nodes).toHaveLength(2);
+    expect(graph.links).toHaveLength(1);
+
+    const [link] = graph.links;
+    expect(link.predicate).toBe("supplier of");
+    expect(link.confidenceScore).toBe(0.8);
+    expect(link.relationships.map((r) => [r.uuid, r.predicate, r.citationURL])).toEqual([
+      ["1", "supplier of", undefined],
+      ["2", "investor in", "https://example.com/round"]
+    ]);
+  });
+
+  it("leaves out entities that fail the filters", () => {
+    const builder = new GraphDataBuilder(
+      envelope([
+        { entityName: "Globex", predicate: "partner of", source: "web", confidenceScore: 0.9 },
+        { entityName: "Jane Doe", entityType: "person", predicate: "CEO", source: "crm" },
+        {
+          entityName: "Initech",
+          predicate: "supplier of",
+          source: "web",
+          isCrmConfirmed: true,
+          confidenceScore: 0.4,
+          importanceScore: 0.7
+        }
+      ])
+    );
+    const idsFor = (filters) =>
+      builder
+        .build({ filters })
+        .nodes.filter((n) => !n.isFocus)
+        .map((n) => n.id);
+
+    expect(idsFor(undefined)).toEqual(["Globex", "Jane Doe", "Initech"]);
+    expect(idsFor({ source: "crm" })).toEqual(["Jane Doe"]);
+    expect(idsFor({ source: "web", entityType: "organization" })).toEqual(["Globex", "Initech"]);
+    expect(idsFor({ entityType: "person" })).toEqual(["Jane Doe"]);
+    expect(idsFor({ confirmedOnly: true })).toEqual(["Jane Doe", "Initech"]);
+    expect(idsFor({ minConfidence: 0.5 })).toEqual(["Globex"]);
+    expect(idsFor({ minImportance: 0.5 })).toEqual(["Initech"]);
+    expect(builder.filteredOutCount).toBe(2);
+  });
+
+  it("hides dismissed and flagged relationships and puts endorsed ones first", () => {
+    const builder = new GraphDataBuilder(
+      envelope([
+        { entityName: "Globex", predicate: "partner of", feedback: "dismissed" },
+        { entityName: "Initech", predicate: "supplier of" },
+        { entityName: "Hooli", predicate: "rival of", feedback: "incorrect" },
+        { entityName: "Umbrella", predicate: "investor in", feedback: "endorsed" }
+      ])
+    );
+    const idsFor = (filters) =>
+      builder
+        .build({ filters, maxNodes: 1 })
+        .nodes.filter((n) => !n.isFocus && !n.isOverflow)
+        .map((n) => n.id);
+
+    expect(idsFor(undefined)).toEqual(["Umbrella"]);
+    expect(builder.filteredOutCount).toBe(2);
+
+    const graph = builder.build({ filters: { showDismissed: true }, maxNodes: null });
+    expect(graph.nodes.filter((n) => !n.isFocus).map((n) => n.id)).toEqual([
+      "Umbrella",
+      "Globex",
+      "Initech",
+      "Hooli"
+    ]);
+    expect(graph.nodes.find((n) => n.id === "Hooli").relationships[0].feedback).toBe("incorrect");
+  });
+
+  it("marks and filters relationships added manually", () => {
+    const builder = new GraphDataBuilder(
+      envelope([
+        { entityName: "Globex", predicate: "partner", source: "user" },
+        { entityName: "Globex", predicate: "supplier", source: "web" },
+        { entityName: "Initech", predicate: "supplier", source: "web" }
+      ])
+    );
+
+    const graph = builder.build();
+    const globex = graph.nodes.find((n) => n.id === "Globex");
+    expect(globex.isUserAdded).toBe(true);
+    expect(graph.links.find((l) => l.target === "Globex").isUserAdded).toBe(true);
+    expect(graph.nodes.find((n) => n.id === "Initech").isUserAdded).toBe(false);
+
+    const userOnly = builder.build({ filters: { source: "user" } });
+    expect(userOnly.nodes.filter((n) => !n.isFocus).map((n) => n.id)).toEqual(["Globex"]);
+    expect(userOnly.nodes[1].relationships.map((r) => r.predicate)).toEqual(["partner"]);
+    expect(builder.filteredOutCount).toBe(2);
+  });
+});
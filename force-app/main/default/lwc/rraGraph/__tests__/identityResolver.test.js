@@ -0,0 +1,80 @@
+import { IdentityResolver, normalizeEntityName, GraphDataBuilder } from "c/rraGraph";
+
+describe("normalizeEntityName", () => {
+  it.each([
+    ["Acme Corp", "acme"],
+    ["ACME Corporation, Inc.", "acme"],
+    ["The Acme Company", "acme"],
+    ["Müller GmbH", "muller"],
+    ["Procter & Gamble Co.", "procter and gamble"],
+    ["Acme Holdings L.L.C.", "acme holdings"],
+    ["Inc", "inc"],
+    ["  ", ""]
+  ])("normalizes %p to %p", (input, expected) => {
+    expect(normalizeEntityName(input)).toBe(expected);
+  });
+});
+
+describe("IdentityResolver", () => {
+  it("merges name variants and records the merge", () => {
+    const resolver = new IdentityResolver();
+
+    const first = resolver.resolve({ entityName: "Acme Corp" });
+    const second = resolver.resolve({ entityName: "ACME Corporation, Inc.", uuid: "u2" });
+
+    expect(second).toEqual({ id: first.id, merged: true, matchedOn: "entityName" });
+    expect(resolver.merges).toEqual([
+      expect.objectContaining({ id: "Acme Corp", uuid: "u2", matchedOn: "entityName" })
+    ]);
+  });
+
+  it("prefers record ids over names", () => {
+    const resolver = new IdentityResolver();
+
+    const a = resolver.resolve({ entityName: "John Smith", recordId: "003000000000001AAA" });
+    const b = resolver.resolve({ entityName: "John Smith", recordId: "003000000000002AAA" });
+    const c = resolver.resolve({ entityName: "J. Smith", recordId: "003000000000001" });
+
+    expect(b.id).not.toBe(a.id);
+    expect(b.merged).toBe(false);
+    expect(c).toEqual({ id: a.id, merged: true, matchedOn: "recordId" });
+  });
+
+  it("falls back to canonicalName", () => {
+    const resolver = new IdentityResolver();
+
+    const a = resolver.resolve({
+      entityName: "IBM",
+      canonicalName: "International Business Machines"
+    });
+    const b = resolver.resolve({
+      entityName: "Big Blue",
+      canonicalName: "International Business Machines Corporation"
+    });
+
+    expect(b).toEqual({ id: a.id, merged: true, matchedOn: "canonicalName" });
+  });
+});
+
+describe("GraphDataBuilder identity resolution", () => {
+  it("drops entries that resolve to the anchor and reports them", () => {
+    const builder = new GraphDataBuilder({
+      schemaVersion: "2",
+      anchorEntity: { entityName: "Acme Corp", recordId: "001000000000001AAA" },
+      relatedEntities: [
+        { entityName: "ACME Corporation, Inc.", predicate: "parent of" },
+        { entityName: "Globex", predicate: "partner of" },
+        { entityName: "Globex LLC", predicate: "supplier of" }
+      ]
+    });
+
+    const graph = builder.build();
+
+    expect(graph.nodes.map((n) => n.id)).toEqual(["Acme Corp", "Globex"]);
+    expect(graph.links[0].relationships).toHaveLength(2);
+    expect(builder.mergeReport.map((m) => [m.entityName, m.isSelfReference])).toEqual([
+      ["ACME Corporation, Inc.", true],
+      ["Globex LLC", false]
+    ]);
+  });
+});
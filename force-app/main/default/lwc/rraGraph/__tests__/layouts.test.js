@@ -0,0 +1,86 @@
+import {
+  RadialLayout,
+  ConcentricLayout,
+  SectorLayout,
+  ForceLayout,
+  createLayout
+} from "c/rraGraph";
+
+const GEOMETRY = {
+  width: 400,
+  height: 400,
+  radius: 20,
+  canvasMargin: 5,
+  startAngle: -Math.PI / 2,
+  textOffsetY: 10,
+  labelHalfWidth: 40,
+  labelHeight: 14
+};
+
+function makeGraph(related) {
+  const nodes = [{ id: "anchor", isFocus: true }, ...related];
+  const links = related.map((n) => ({ source: "anchor", target: n.id }));
+  return { nodes, links };
+}
+
+function distanceFromCenter(n) {
+  return Math.hypot(n.x - GEOMETRY.width / 2, n.y - GEOMETRY.height / 2);
+}
+
+describe("rraGraph layouts", () => {
+  it("places the focus at the center and related nodes on a single circle", () => {
+    const { nodes, links } = makeGraph([{ id: "a" }, { id: "b" }, { id: "c" }]);
+
+    const byId = new RadialLayout().layout(nodes, links, GEOMETRY);
+
+    expect(byId.get("anchor")).toMatchObject({ x: 200, y: 200 });
+    const radii = ["a", "b", "c"].map((id) => distanceFromCenter(byId.get(id)));
+    expect(radii[1]).toBeCloseTo(radii[0]);
+    expect(radii[2]).toBeCloseTo(radii[0]);
+  });
+
+  it("puts more important nodes on inner rings", () => {
+    const { nodes, links } = makeGraph([
+      { id: "high", importanceScore: 0.9 },
+      { id: "mid", importanceScore: 0.6 },
+      { id: "low", importanceScore: 0.1 },
+      { id: "unscored" }
+    ]);
+
+    const byId = new ConcentricLayout().layout(nodes, links, GEOMETRY);
+
+    const high = distanceFromCenter(byId.get("high"));
+    const mid = distanceFromCenter(byId.get("mid"));
+    const low = distanceFromCenter(byId.get("low"));
+    expect(high).toBeLessThan(mid);
+    expect(mid).toBeLessThan(low);
+    expect(distanceFromCenter(byId.get("unscored"))).toBeCloseTo(low);
+  });
+
+  it("keeps people and organizations on separate arcs", () => {
+    const { nodes, links } = makeGraph([
+      { id: "org1", entityType: "organization" },
+      { id: "p1", entityType: "person" },
+      { id: "org2", entityType: "organization" },
+      { id: "p2", entityType: "person" }
+    ]);
+
+    new SectorLayout().layout(nodes, links, GEOMETRY);
+
+    // Angles measured clockwise from the start angle (12 o'clock)
+    const angleOf = (id) => {
+      const n = nodes.find((x) => x.id === id);
+      const theta = Math.atan2(n.y - 200, n.x - 200) - GEOMETRY.startAngle;
+      return (theta + 2 * Math.PI) % (2 * Math.PI);
+    };
+    const orgMax = Math.max(angleOf("org1"), angleOf("org2"));
+    const personMin = Math.min(angleOf("p1"), angleOf("p2"));
+    expect(orgMax).toBeLessThan(personMin);
+  });
+
+  it("creates layouts by id and falls back to radial", () => {
+    expect(createLayout("force")).toBeInstanceOf(ForceLayout);
+    expect(createLayout("sector")).toBeInstanceOf(SectorLayout);
+    expect(createLayout("nope")).toBeInstanceOf(RadialLayout);
+  });
+});
@@ -0,0 +1,197 @@
+import { RraGraph, formatScore, safeUrl } from "c/rraGraph";
+
+describe("RraGraph visual encoding", () => {
+  const graph = new RraGraph({ radius: 20 });
+
+  it("scales related nodes by importance", () => {
+    expect(graph.getNodeRadius({ importanceScore: 0 })).toBeCloseTo(20 * RraGraph.NODE_SCALE_MIN);
+    expect(graph.getNodeRadius({ importanceScore: 1 })).toBeCloseTo(20 * RraGraph.NODE_SCALE_MAX);
+    expect(graph.getNodeRadius({ importanceScore: 5 })).toBeCloseTo(20 * RraGraph.NODE_SCALE_MAX);
+    expect(graph.getNodeRadius({})).toBeCloseTo(20);
+    expect(graph.getNodeRadius({ isFocus: true, importanceScore: 0 })).toBe(20);
+    expect(graph.getNodeRadius({ isOverflow: true })).toBe(20);
+  });
+
+  it("fades links by confidence", () => {
+    expect(graph.getLinkOpacity({ confidenceScore: 1 })).toBe(1);
+    expect(graph.getLinkOpacity({ confidenceScore: 0 })).toBe(RraGraph.LINK_MIN_OPACITY);
+    expect(graph.getLinkOpacity({})).toBe(1);
+  });
+});
+
+describe("RraGraph icons", () => {
+  const graph = new RraGraph({
+    iconsUrl: "/standard.svg",
+    iconsCustomUrl: "/custom.svg",
+    objectTypeIcons: { partner__c: "custom:custom57", case: "standard:case" }
+  });
+
+  it("uses the described icon of any object type", () => {
+    expect(graph.getNodeIconUrl({ recordType: "Partner__c" })).toBe("/custom.svg#custom57");
+    expect(graph.getNodeIconUrl({ recordType: "Case" })).toBe("/standard.svg#case");
+  });
+
+  it("falls back to the record or entity type icon", () => {
+    expect(graph.getNodeIconUrl({ recordType: "lead" })).toBe("/standard.svg#contact");
+    expect(graph.getNodeIconUrl({ recordType: "Vendor__c" })).toBe("/standard.svg#entity");
+    expect(graph.getNodeIconUrl({ entityType: "organization" })).toBe("/standard.svg#account");
+  });
+});
+
+describe("RraGraph accessibility", () => {
+  const graph = new RraGraph();
+
+  it("describes nodes for screen readers", () => {
+    expect(graph.getNodeAriaLabel({ id: "Acme", isFocus: true })).toBe("Acme, current record");
+    expect(graph.getNodeAriaLabel({ id: "x", isOverflow: true, overflowCount: 3 })).toBe(
+      "Show 3 more relationships"
+    );
+    expect(
+      graph.getNodeAriaLabel({
+        id: "Globex",
+        source: "web",
+        recordId: "001",
+        relationships: [{ predicate: "supplier of" }, { predicate: "investor in" }]
+      })
+    ).toBe("Globex, supplier of, investor in, Possible match");
+    expect(
+      graph.getNodeAriaLabel({ id: "Initech", label: "Initech Ltd", predicate: "partner of" })
+    ).toBe("Initech Ltd, partner of, Not in CRM");
+  });
+});
+
+describe("shared formatting", () => {
+  it("formats scores as whole percentages", () => {
+    expect(formatScore(0.804)).toBe("80%");
+    expect(formatScore(undefined)).toBe("");
+    expect(formatScore(null, "–")).toBe("–");
+  });
+
+  it("allows only http and https URLs", () => {
+    expect(safeUrl(" https://example.com/a ")).toBe("https://example.com/a");
+    expect(safeUrl(["javascript", "alert(1)"].join(":"))).toBeUndefined();
+    expect(safeUrl("example.com")).toBeUndefined();
+  });
+});
+
+describe("RraGraph tooltips", () => {
+  const scriptUrl = ["javascript", "alert(1)"].join(":");
+
+  beforeAll(() => {
+    global.d3 = require("../../../staticresources/d3.js");
+  });
+
+  afterAll(() => {
+    delete global.d3;
+  });
+
+  it("only links http and https citations", () => {
+    const graph = new RraGraph();
+    const card = graph.buildTooltipCard({
+      id: "Globex",
+      relationships: [
+        {
+          predicate: "supplier of",
+          source: "web",
+          confidenceScore: 0.8,
+          context: "<img src=x onerror=alert(1)>",
+          citationURL: "https://example.com/a"
+        },
+        { predicate: "investor in", citationURL: scriptUrl }
+      ]
+    });
+
+    expect(card.title).toBe("Globex");
+    expect(card.items).toEqual([
+      {
+        predicate: "supplier of",
+        meta: "Web · 80% confidence",
+        context: "<img src=x onerror=alert(1)>",
+        citation: "https://example.com/a",
+        citationURL: "https://example.com/a"
+      },
+      expect.objectContaining({ predicate: "investor in", citationURL: undefined })
+    ]);
+  });
+
+  it("renders card content as text", () => {
+    const graph = new RraGraph();
+    const tooltip = graph._createTooltip();
+
+    graph._renderTooltipContent(tooltip, {
+      id: "Globex",
+      predicate: "supplier of",
+      context: "<img src=x onerror=alert(1)>",
+      citationURL: scriptUrl,
+      citation: "Press"
+    });
+
+    expect(tooltip.node().querySelector("img")).toBeNull();
+    expect(tooltip.node().querySelector("a")).toBeNull();
+    expect(tooltip.node().textContent).toContain("<img src=x onerror=alert(1)>");
+    graph.destroy();
+  });
+
+  it("offers feedback actions on each relationship", () => {
+    const onRelationshipFeedback = jest.fn();
+    const graph = new RraGraph({ onRelationshipFeedback });
+    const nodeData = {
+      id: "Globex",
+      relationships: [
+        { uuid: "1", predicate: "supplier of" },
+        { uuid: "2", predicate: "investor in", feedback: "incorrect", feedbackReason: "Sold" }
+      ]
+    };
+
+    const card = graph.buildTooltipCard(nodeData);
+    expect(card.items[0].actions.map((a) => a.feedback)).toEqual([
+      "endorsed",
+      "incorrect",
+      "dismissed"
+    ]);
+    expect(card.items[1]).toMatchObject({
+      status: "Flagged as incorrect: Sold",
+      actions: [{ feedback: null, label: "Undo" }]
+    });
+    expect(new RraGraph().buildTooltipCard(nodeData).items[0].actions).toBeUndefined();
+
+    const tooltip = graph._createTooltip();
+    graph._renderTooltipContent(tooltip, nodeData);
+    tooltip.node().querySelector("button").click();
+    expect(onRelationshipFeedback).toHaveBeenCalledWith({
+      uuid: "1",
+      predicate: "supplier of",
+      feedback: "endorsed",
+      nodeData
+    });
+    graph.destroy();
+  });
+
+  it("removes its tooltip and live region on destroy", () => {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    const graph = new RraGraph({ svg });
+    graph._createTooltip();
+    graph._getAnnouncer();
+    expect(document.body.querySelectorAll(".rra-tooltip, .rra-announcer")).toHaveLength(2);
+
+    graph.destroy();
+
+    expect(document.body.querySelectorAll(".rra-tooltip, .rra-announcer")).toHaveLength(0);
+  });
+});
+
+describe("RraGraph overflow", () => {
+  it("tells its caller when the overflow node is expanded", () => {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    const onOverflowExpand = jest.fn();
+    const graph = new RraGraph({ svg, onOverflowExpand });
+    graph._data = { nodes: [], links: [] };
+    graph.render = jest.fn();
+
+    graph.expandOverflow();
+
+    expect(graph.render).toHaveBeenCalledWith(graph._data);
+    expect(onOverflowExpand).toHaveBeenCalledTimes(1);
+    graph.destroy();
+  });
+});
@@ -0,0 +1,187 @@
+// Client-side parsing of stored relationship envelopes (RRARelationships__c.RelationshipJson__c).
+//
+// Envelopes saved under an older schema are brought up to CURRENT_SCHEMA_VERSION through
+// MIGRATIONS, one version at a time, so old records keep rendering.  Envelopes from a newer schema
+// are read as the current version as far as they can be, rather than not at all.  Anything that
+// cannot be shown is reported as a typed error instead of being dropped silently:
+//
+//   { code, message, index?, entityName? }
+//
+// where code is a key of ERRORS and index is the entry's position in the stored list.
+// Envelope-level errors with ERRORS[code].isFatal leave no envelope to show.
+
+import { normalizeEntityName } from "./identityResolver";
+
+export const CURRENT_SCHEMA_VERSION = "2";
+
+// isFatal: nothing of the envelope can be shown
+export const ERRORS = Object.freeze({
+  INVALID_JSON: { message: "The relationship data is not valid JSON", isFatal: true },
+  NOT_AN_ENVELOPE: { message: "The relationship data is not an envelope", isFatal: true },
+  UNKNOWN_VERSION: {
+    message: "The relationship data has an unknown schema version",
+    isFatal: true
+  },
+  MISSING_ANCHOR: { message: "The relationship data names no anchor entity", isFatal: true },
+  MISSING_RELATED: { message: "The relationship data has no list of relationships", isFatal: true },
+  NEWER_VERSION: {
+    message: "The relationship data was saved by a newer version; some details may be missing",
+    isFatal: false
+  },
+  NOT_AN_OBJECT: { message: "Not a relationship object", isFatal: false },
+  MISSING_ENTITY_NAME: { message: "No entity name", isFatal: false },
+  MISSING_PREDICATE: { message: "No relationship (predicate)", isFatal: false },
+  NOT_ABOUT_ANCHOR: { message: "Neither side of the relationship is the anchor", isFatal: false }
+});
+
+// Schema version -> function from an envelope of that version to { envelope, errors } of the next.
+// Add an entry here whenever CURRENT_SCHEMA_VERSION moves on.
+export const MIGRATIONS = Object.freeze({
+  1: migrateV1ToV2
+});
+
+export function parseEnvelope(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      return failed("INVALID_JSON");
+    }
+  }
+
+  let version = schemaVersionOf(data);
+  if (version === null) return failed("NOT_AN_ENVELOPE");
+
+  const errors = [];
+  while (MIGRATIONS[version]) {
+    const migrated = MIGRATIONS[version](data);
+    data = migrated.envelope;
+    errors.push(...migrated.errors);
+    version = schemaVersionOf(data);
+  }
+
+  if (Number(version) > Number(CURRENT_SCHEMA_VERSION)) {
+    errors.push(error("NEWER_VERSION"));
+  } else if (version !== CURRENT_SCHEMA_VERSION) {
+    return failed("UNKNOWN_VERSION", errors);
+  }
+
+  if (isBlank(data.anchorEntity?.entityName)) return failed("MISSING_ANCHOR", errors);
+  if (!Array.isArray(data.relatedEntities)) return failed("MISSING_RELATED", errors);
+
+  // Entities are kept as they are, so callers can keep updating the objects they loaded
+  const relatedEntities = [];
+  data.relatedEntities.forEach((entity, index) => {
+    const code = entityErrorOf(entity);
+    if (code) {
+      errors.push(error(code, { index, entityName: entityNameOf(entity) }));
+    } else {
+      relatedEntities.push(entity);
+    }
+  });
+
+  return {
+    envelope: { ...data, schemaVersion: CURRENT_SCHEMA_VERSION, relatedEntities },
+    errors
+  };
+}
+
+// Whether any error leaves nothing of the envelope to show
+export function hasFatalError(errors) {
+  return (errors ?? []).some((e) => ERRORS[e.code]?.isFatal);
+}
+
+// v1, from before the envelope: a bare list of subject-predicate-object triples
+// ({ subjectName, predicate, objectName, ... }), or { schemaVersion: "1", anchorName, relationships }.
+// The anchor is anchorName when given, otherwise the name most triples share; each triple becomes a
+// related entity named after its other side.
+function migrateV1ToV2(v1) {
+  const triples = (Array.isArray(v1) ? v1 : v1.relationships) ?? [];
+  const anchorName = v1.anchorName ?? mostCommonName(triples);
+  const anchorKey = normalizeEntityName(anchorName);
+
+  const errors = [];
+  const relatedEntities = [];
+  triples.forEach((triple, index) => {
+    if (!isObject(triple)) {
+      relatedEntities.push(triple);
+      return;
+    }
+
+    const { subjectName, objectName, ...rest } = triple;
+    let entityName = null;
+    if (normalizeEntityName(subjectName) === anchorKey) entityName = objectName;
+    else if (normalizeEntityName(objectName) === anchorKey) entityName = subjectName;
+
+    if (entityName === null) {
+      errors.push(error("NOT_ABOUT_ANCHOR", { index, entityName: subjectName ?? objectName }));
+    } else {
+      relatedEntities.push({ ...rest, entityName });
+    }
+  });
+
+  return {
+    envelope: {
+      schemaVersion: "2",
+      anchorEntity: anchorName ? { entityName: anchorName } : null,
+      relatedEntities
+    },
+    errors
+  };
+}
+
+function mostCommonName(triples) {
+  const counts = new Map();
+  let best = null;
+  for (const triple of triples.filter(isObject)) {
+    for (const name of [triple.subjectName, triple.objectName]) {
+      const key = normalizeEntityName(name);
+      if (!key) continue;
+
+      const entry = counts.get(key) ?? { name, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+      if (!best || entry.count > best.count) best = entry;
+    }
+  }
+  return best?.name ?? null;
+}
+
+// The schema version of parsed data as a string, "1" for a pre-envelope list, or null if it isn't
+// relationship data at all
+function schemaVersionOf(data) {
+  if (Array.isArray(data)) return "1";
+  if (!isObject(data)) return null;
+  if (data.schemaVersion !== undefined && data.schemaVersion !== null) {
+    return String(data.schemaVersion);
+  }
+  return Array.isArray(data.relationships) ? "1" : null;
+}
+
+function entityErrorOf(entity) {
+  if (!isObject(entity)) return "NOT_AN_OBJECT";
+  if (isBlank(entity.entityName)) return "MISSING_ENTITY_NAME";
+  if (isBlank(entity.predicate)) return "MISSING_PREDICATE";
+  return null;
+}
+
+function entityNameOf(entity) {
+  return isObject(entity) && !isBlank(entity.entityName) ? entity.entityName.trim() : undefined;
+}
+
+function error(code, details = {}) {
+  return { code, message: ERRORS[code].message, ...details };
+}
+
+function failed(code, errors = []) {
+  return { envelope: null, errors: [...errors, error(code)] };
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isBlank(v) {
+  return typeof v !== "string" || v.trim() === "";
+}
@@ -0,0 +1,308 @@
+// Export formats for relationship graphs.
+//
+// relationshipRows(), toCsv() and toGraphML() take GraphDataBuilder output ({ nodes, links })
+// without an overflow node; the GraphDataBuilder static wrappers expand it first.
+// toFeedbackJsonl() takes the envelope itself, as feedback can hide relationships from the graph.
+// serializeSvg() and rasterizeSvg() turn a rendered RraGraph <svg> into standalone files (see
+// RraGraph.toSvg/toPng).  toDataUrl() and downloadFile() save any of these, or another
+// component's file, from the browser.
+
+// Presentation properties copied from the page's stylesheet onto each exported SVG element, so the
+// file looks the same without the component's CSS
+const INLINED_STYLE_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-dasharray",
+  "stroke-opacity",
+  "stroke-linejoin",
+  "paint-order",
+  "opacity",
+  "visibility",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline"
+];
+
+const CSV_COLUMNS = ["Entity", "Predicate", "Source", "Confidence", "Citation URL"];
+
+// GraphML attribute keys: [id, for, attr.name, attr.type]
+const GRAPHML_KEYS = [
+  ["label", "node", "label", "string"],
+  ["entityType", "node", "entityType", "string"],
+  ["recordId", "node", "recordId", "string"],
+  ["recordType", "node", "recordType", "string"],
+  ["isFocus", "node", "isFocus", "boolean"],
+  ["isCrmConfirmed", "node", "isCrmConfirmed", "boolean"],
+  ["importanceScore", "node", "importanceScore", "double"],
+  ["predicate", "edge", "predicate", "string"],
+  ["source", "edge", "source", "string"],
+  ["relationshipCount", "edge", "relationshipCount", "int"],
+  ["confidenceScore", "edge", "confidenceScore", "double"],
+  ["citationURL", "edge", "citationURL", "string"]
+];
+
+function csvCell(v) {
+  let text = v == null ? "" : String(v);
+  // Keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function graphmlData(key, value) {
+  return value == null ? "" : `<data key="${key}">${xmlEscape(value)}</data>`;
+}
+
+// Flatten graph nodes into one row per relationship: an entity with several predicates gets one row
+// for each.  Rows carry the node id so callers can map them back to graph nodes.
+export function relationshipRows({ nodes = [] }) {
+  const rows = [];
+
+  for (const node of nodes) {
+    if (node.isFocus || node.isOverflow) continue;
+
+    const relationships = node.relationships?.length > 0 ? node.relationships : [node];
+    relationships.forEach((r, i) => {
+      rows.push({
+        key: `${node.id}::${i}`,
+        nodeId: node.id,
+        entityName: node.label ?? node.id,
+        entityType: node.entityType,
+        predicate: r.predicate,
+        source: r.source,
+        recordId: node.recordId,
+        isCrmConfirmed: !!node.isCrmConfirmed,
+        confidenceScore: r.confidenceScore,
+        importanceScore: r.importanceScore,
+        citation: r.citation,
+        citationURL: r.citationURL,
+        uuid: r.uuid,
+        feedback: r.feedback,
+        feedbackReason: r.feedbackReason
+      });
+    });
+  }
+
+  return rows;
+}
+
+export function toCsv(graph) {
+  const rows = relationshipRows(graph).map((r) => [
+    r.entityName,
+    r.predicate,
+    r.source,
+    r.confidenceScore,
+    r.citationURL
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// GraphML document for tools such as Gephi.  Multi-predicate links are written as one edge whose
+// predicate joins every predicate with "; ".
+export function toGraphML({ nodes = [], links = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map(
+      ([id, domain, name, type]) =>
+        `  <key id="${id}" for="${domain}" attr.name="${name}" attr.type="${type}"/>`
+    ),
+    '  <graph id="relationships" edgedefault="undirected">'
+  ];
+
+  for (const n of nodes) {
+    const data = [
+      graphmlData("label", n.label ?? n.id),
+      graphmlData("entityType", n.entityType),
+      graphmlData("recordId", n.recordId),
+      graphmlData("recordType", n.recordType),
+      graphmlData("isFocus", !!n.isFocus),
+      graphmlData("isCrmConfirmed", !!n.isCrmConfirmed),
+      graphmlData("importanceScore", n.importanceScore)
+    ].join("");
+    lines.push(`    <node id="${xmlEscape(n.id)}">${data}</node>`);
+  }
+
+  links.forEach((l, i) => {
+    const relationships = l.relationships ?? [];
+    const predicates = relationships.length > 0 ? relationships.map((r) => r.predicate) : [];
+    const sources = [...new Set(relationships.map((r) => r.source).filter(Boolean))];
+    const data = [
+      graphmlData("predicate", predicates.length > 0 ? predicates.join("; ") : l.predicate),
+      graphmlData("source", sources.length > 0 ? sources.join("; ") : undefined),
+      graphmlData("relationshipCount", Math.max(1, relationships.length)),
+      graphmlData("confidenceScore", l.confidenceScore),
+      graphmlData("citationURL", l.citationURL)
+    ].join("");
+    lines.push(
+      `    <edge id="e${i}" source="${xmlEscape(l.source)}" target="${xmlEscape(l.target)}">${data}</edge>`
+    );
+  });
+
+  lines.push("  </graph>", "</graphml>", "");
+  return lines.join("\n");
+}
+
+// Copy the computed presentation styles of every element under `source` onto the matching element
+// of `clone`, which must be a deep clone of `source`.
+function inlineStyles(source, clone) {
+  const sourceElements = [source, ...source.querySelectorAll("*")];
+  const cloneElements = [clone, ...clone.querySelectorAll("*")];
+
+  sourceElements.forEach((el, i) => {
+    const computed = window.getComputedStyle(el);
+    const declarations = INLINED_STYLE_PROPERTIES.map((p) => [p, computed.getPropertyValue(p)])
+      .filter(([, value]) => value)
+      .map(([p, value]) => `${p}:${value}`);
+    if (declarations.length > 0) {
+      cloneElements[i].setAttribute(
+        "style",
+        `${declarations.join(";")};${cloneElements[i].getAttribute("style") ?? ""}`
+      );
+    }
+  });
+}
+
+// Replace every <use href="sprite.svg#id"> with a reference to a <symbol> copied into the file's
+// own <defs>.  Sprites are fetched once each; ids are prefixed per sprite to avoid collisions.
+async function inlineSprites(svg) {
+  const uses = [...svg.querySelectorAll("use")];
+  const spriteUrls = [
+    ...new Set(
+      uses
+        .map((u) => u.getAttribute("href") ?? "")
+        .filter((href) => href.includes("#") && !href.startsWith("#"))
+        .map((href) => href.split("#")[0])
+    )
+  ];
+
+  const sprites = new Map();
+  await Promise.all(
+    spriteUrls.map(async (url, i) => {
+      const response = await fetch(url);
+      const text = await response.text();
+      const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+      sprites.set(url, { doc, prefix: `rra-sprite-${i}-` });
+    })
+  );
+
+  const defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+  const inlined = new Set();
+
+  for (const use of uses) {
+    const [url, id] = (use.getAttribute("href") ?? "").split("#");
+    const sprite = sprites.get(url);
+    if (!sprite || !id) continue;
+
+    const localId = `${sprite.prefix}${id}`;
+    if (!inlined.has(localId)) {
+      const symbol = sprite.doc.getElementById(id);
+      if (!symbol) continue;
+
+      const copy = document.importNode(symbol, true);
+      copy.setAttribute("id", localId);
+      defs.appendChild(copy);
+      inlined.add(localId);
+    }
+    use.setAttribute("href", `#${localId}`);
+  }
+
+  svg.insertBefore(defs, svg.firstChild);
+}
+
+// Serialize a rendered graph <svg> as a standalone SVG document: styles are inlined and the icon
+// sprites it references are embedded.  The export shows what the canvas currently shows, including
+// the current zoom and pan.
+export async function serializeSvg(svgElement) {
+  const clone = svgElement.cloneNode(true);
+  const width = svgElement.getAttribute("width");
+  const height = svgElement.getAttribute("height");
+
+  inlineStyles(svgElement, clone);
+  await inlineSprites(clone);
+
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.style.background = "#ffffff";
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// Rasterize a standalone SVG document (see serializeSvg) to a PNG data URL.  `scale` multiplies
+// the pixel size so pasted images stay sharp on high density screens.
+export function rasterizeSvg(svgText, { width, height, scale = 2 }) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    image.onerror = () => reject(new Error("Unable to rasterize the graph"));
+    image.src = toDataUrl("image/svg+xml", svgText);
+  });
+}
+
+// Relationships with feedback as JSON Lines, one object per relationship, for prompt tuning:
+//
+//   { anchor: { entityName, entityType }, relationship: { uuid, entityName, entityType, predicate,
+//     source, context, citation, citationURL, confidenceScore, importanceScore }, feedback, reason }
+export function toFeedbackJsonl({ anchorEntity, relatedEntities = [] } = {}) {
+  return relatedEntities
+    .filter((r) => r?.feedback)
+    .map(
+      (r) =>
+        JSON.stringify({
+          anchor: { entityName: anchorEntity?.entityName, entityType: anchorEntity?.entityType },
+          relationship: {
+            uuid: r.uuid,
+            entityName: r.entityName,
+            entityType: r.entityType,
+            predicate: r.predicate,
+            source: r.source,
+            context: r.context,
+            citation: r.citation,
+            citationURL: r.citationURL,
+            confidenceScore: r.confidenceScore,
+            importanceScore: r.importanceScore
+          },
+          feedback: r.feedback,
+          reason: r.feedbackReason ?? null
+        }) + "\n"
+    )
+    .join("");
+}
+
+export function toDataUrl(mimeType, text) {
+  return `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`;
+}
+
+// Have the browser save a data URL as a file
+export function downloadFile(fileName, url) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
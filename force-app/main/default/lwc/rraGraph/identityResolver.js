@@ -0,0 +1,143 @@
+// Client-side identity resolution for envelope entities.
+//
+// Web research and CRM extraction often name the same entity differently ("Acme Corp" vs "ACME
+// Corporation, Inc.").  IdentityResolver decides which entries refer to the same real-world entity
+// so the graph can draw one node per entity:
+//
+//   1. Entries carrying a CRM recordId match on that id.  Two different record ids never merge,
+//      whatever their names.
+//   2. Otherwise entries match on their normalized canonicalName, then their normalized entityName.
+//
+// Every merge is recorded in `merges` so callers can show which entries were combined.
+
+// Trailing words dropped when normalizing organization names.  Periods are removed before matching,
+// so "L.L.C." and "S.A." are covered by "llc" and "sa".
+export const LEGAL_SUFFIXES = Object.freeze(
+  new Set([
+    "inc",
+    "incorporated",
+    "corp",
+    "corporation",
+    "co",
+    "company",
+    "llc",
+    "llp",
+    "lp",
+    "ltd",
+    "limited",
+    "plc",
+    "gmbh",
+    "ag",
+    "sa",
+    "sas",
+    "srl",
+    "nv",
+    "bv",
+    "pty",
+    "pte",
+    "kk"
+  ])
+);
+
+// Lowercase, strip accents and punctuation, collapse whitespace, and drop a leading "the" and any
+// trailing legal suffixes.  Returns "" for blank input.
+export function normalizeEntityName(name) {
+  if (typeof name !== "string") return "";
+
+  const words = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\./g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  if (words.length > 1 && words[0] === "the") words.shift();
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+
+  return words.join(" ");
+}
+
+// Salesforce ids are 15 characters, case-sensitive, optionally followed by a 3 character checksum
+function recordKeyOf(entity) {
+  const id = typeof entity.recordId === "string" ? entity.recordId.trim() : "";
+  return id ? `record:${id.slice(0, 15)}` : null;
+}
+
+export class IdentityResolver {
+  // Identities by lookup key ("record:<id>" or "name:<normalized name>")
+  _byKey = new Map();
+  _ids = new Set();
+
+  // One entry per resolve() call that matched an existing identity:
+  //   { id, entityName, canonicalName, recordId, uuid, matchedOn }
+  // where matchedOn is "recordId", "canonicalName" or "entityName".
+  merges = [];
+
+  // Resolve an entity to an identity, registering a new one if nothing matches.  Returns
+  // { id, merged, matchedOn }; id is stable for every entry of the same identity and is derived
+  // from the first entry's entityName.
+  resolve(entity) {
+    const recordKey = recordKeyOf(entity);
+    const nameKeys = [
+      ["canonicalName", normalizeEntityName(entity.canonicalName)],
+      ["entityName", normalizeEntityName(entity.entityName)]
+    ].filter(([, name]) => name);
+
+    let identity = null;
+    let matchedOn = null;
+
+    if (recordKey && this._byKey.has(recordKey)) {
+      identity = this._byKey.get(recordKey);
+      matchedOn = "recordId";
+    }
+
+    for (const [field, name] of nameKeys) {
+      if (identity) break;
+
+      const candidate = this._byKey.get(`name:${name}`);
+      // Different CRM records never merge, whatever their names
+      if (candidate && !(recordKey && candidate.recordKey && candidate.recordKey !== recordKey)) {
+        identity = candidate;
+        matchedOn = field;
+      }
+    }
+
+    const merged = !!identity;
+    if (!identity) {
+      identity = { id: this._uniqueId(entity.entityName), recordKey };
+      this._ids.add(identity.id);
+    } else {
+      this.merges.push({
+        id: identity.id,
+        entityName: entity.entityName,
+        canonicalName: entity.canonicalName,
+        recordId: entity.recordId,
+        uuid: entity.uuid,
+        matchedOn
+      });
+    }
+
+    // A name-only identity adopts the first record id seen for it
+    if (recordKey && !identity.recordKey) identity.recordKey = recordKey;
+
+    for (const key of [recordKey, ...nameKeys.map(([, name]) => `name:${name}`)]) {
+      if (key && !this._byKey.has(key)) this._byKey.set(key, identity);
+    }
+
+    return { id: identity.id, merged, matchedOn };
+  }
+
+  // Node ids must be unique even when distinct records share a display name
+  _uniqueId(name) {
+    const base = (name ?? "").trim();
+    let id = base;
+    for (let i = 2; this._ids.has(id); i++) {
+      id = `${base} (${i})`;
+    }
+    return id;
+  }
+}
@@ -0,0 +1,257 @@
+/* global d3 */
+
+// Layout strategies for RraGraph.
+//
+// A layout strategy is any object with a `layout(nodes, links, geometry)` method that assigns x/y
+// to every node and returns a Map of id->node.  `geometry` carries the canvas and node dimensions
+// RraGraph uses while drawing:
+//
+//   { width, height, radius, canvasMargin, startAngle, textOffsetY, labelHalfWidth, labelHeight }
+//
+// Strategies are passed to RraGraph through the `layout` option, which lets callers switch layouts
+// and re-render the same graph data without rebuilding it.
+
+// Compute the center of the canvas and the largest orbit radius that keeps nodes and their labels
+// from crossing any side.
+function orbitBounds(geometry) {
+  const {
+    width,
+    height,
+    radius,
+    canvasMargin,
+    textOffsetY,
+    labelHalfWidth = 0,
+    labelHeight = 0
+  } = geometry;
+
+  const cx = width / 2;
+  const cy = height / 2;
+
+  // Per-side padding that accounts for node size + label footprint
+  const padX = canvasMargin + Math.max(radius, labelHalfWidth);
+  const padTop = canvasMargin + radius; // no label above
+  const padBottom = canvasMargin + radius + textOffsetY + labelHeight;
+
+  const maxR = Math.max(
+    radius * 3,
+    Math.min(cx - padX, width - cx - padX, cy - padTop, height - cy - padBottom)
+  );
+
+  return { cx, cy, maxR };
+}
+
+function splitFocus(nodes) {
+  const focus = nodes.find((n) => n.isFocus) ?? nodes[0];
+  return { focus, related: nodes.filter((n) => n !== focus) };
+}
+
+function placeAt(node, cx, cy, r, theta) {
+  node.x = cx + r * Math.cos(theta);
+  node.y = cy + r * Math.sin(theta);
+}
+
+function toNodeMap(nodes) {
+  return new Map(nodes.map((n) => [n.id, n]));
+}
+
+// The original deterministic layout: focus node at the center and all other nodes evenly spaced
+// around a single circle.
+export class RadialLayout {
+  static id = "radial";
+  static label = "Radial";
+
+  layout(nodes, links, geometry) {
+    if (!nodes || nodes.length < 1) return new Map();
+
+    const { cx, cy, maxR } = orbitBounds(geometry);
+    const { focus, related } = splitFocus(nodes);
+    const N = related.length;
+
+    focus.x = cx;
+    focus.y = cy;
+
+    for (let i = 0; i < N; i++) {
+      placeAt(related[i], cx, cy, maxR, geometry.startAngle + (2 * Math.PI * i) / Math.max(1, N));
+    }
+
+    return toNodeMap(nodes);
+  }
+}
+
+// Concentric rings around the focus node.  A node's importanceScore (0..1) picks its ring: the
+// more important the relationship, the closer it sits to the anchor.  Nodes without a score land
+// on the outermost ring.
+export class ConcentricLayout {
+  static id = "concentric";
+  static label = "Concentric by importance";
+
+  // Lower bounds of each ring's importanceScore, innermost first; anything below the last
+  // threshold goes on an extra outer ring.
+  thresholds = [0.8, 0.5];
+
+  constructor({ thresholds } = {}) {
+    if (Array.isArray(thresholds) && thresholds.length > 0) {
+      this.thresholds = [...thresholds].sort((a, b) => b - a);
+    }
+  }
+
+  ringIndexFor(node) {
+    const score = node.importanceScore;
+    if (typeof score !== "number" || Number.isNaN(score)) return this.thresholds.length;
+
+    const idx = this.thresholds.findIndex((t) => score >= t);
+    return idx < 0 ? this.thresholds.length : idx;
+  }
+
+  layout(nodes, links, geometry) {
+    if (!nodes || nodes.length < 1) return new Map();
+
+    const { cx, cy, maxR } = orbitBounds(geometry);
+    const { focus, related } = splitFocus(nodes);
+    const ringCount = this.thresholds.length + 1;
+    const innerR = Math.min(maxR, geometry.radius * 3);
+
+    focus.x = cx;
+    focus.y = cy;
+
+    const rings = Array.from({ length: ringCount }, () => []);
+    for (const n of related) {
+      rings[this.ringIndexFor(n)].push(n);
+    }
+
+    rings.forEach((ring, i) => {
+      const r = ringCount > 1 ? innerR + ((maxR - innerR) * i) / (ringCount - 1) : maxR;
+      // Stagger alternate rings by half a step so nodes on neighbouring rings don't line up
+      const offset = i % 2 === 1 ? Math.PI / Math.max(1, ring.length) : 0;
+
+      ring.forEach((n, j) => {
+        placeAt(n, cx, cy, r, geometry.startAngle + offset + (2 * Math.PI * j) / ring.length);
+      });
+    });
+
+    return toNodeMap(nodes);
+  }
+}
+
+// Related nodes on one circle, grouped into separate arcs by entityType (organizations, people,
+// then anything else).  Each arc's span is proportional to the number of nodes it holds.
+export class SectorLayout {
+  static id = "sector";
+  static label = "Sectors by type";
+
+  static TYPE_ORDER = ["organization", "person"];
+
+  // Empty space left between neighbouring sectors, in radians
+  gapAngle = Math.PI / 6;
+
+  constructor({ gapAngle } = {}) {
+    if (typeof gapAngle === "number") this.gapAngle = gapAngle;
+  }
+
+  groupByType(related) {
+    const groups = new Map(SectorLayout.TYPE_ORDER.map((t) => [t, []]));
+    for (const n of related) {
+      const type = (n.entityType ?? "organization").toLowerCase();
+      if (!groups.has(type)) groups.set(type, []);
+      groups.get(type).push(n);
+    }
+    return [...groups.values()].filter((g) => g.length > 0);
+  }
+
+  layout(nodes, links, geometry) {
+    if (!nodes || nodes.length < 1) return new Map();
+
+    const { cx, cy, maxR } = orbitBounds(geometry);
+    const { focus, related } = splitFocus(nodes);
+
+    focus.x = cx;
+    focus.y = cy;
+
+    const groups = this.groupByType(related);
+    if (groups.length === 1) {
+      return new RadialLayout().layout(nodes, links, geometry);
+    }
+
+    const available = 2 * Math.PI - this.gapAngle * groups.length;
+    let theta = geometry.startAngle + this.gapAngle / 2;
+
+    for (const group of groups) {
+      const span = (available * group.length) / related.length;
+      for (let i = 0; i < group.length; i++) {
+        placeAt(group[i], cx, cy, maxR, theta + (span * (i + 0.5)) / group.length);
+      }
+      theta += span + this.gapAngle;
+    }
+
+    return toNodeMap(nodes);
+  }
+}
+
+// d3-force layout with the focus node pinned at the center.  The simulation is run to completion
+// synchronously so the result is static and deterministic for the same input; nodes may end up
+// outside the canvas, which RraGraph handles with zoom and "fit to view".
+export class ForceLayout {
+  static id = "force";
+  static label = "Force-directed";
+
+  iterations = 300;
+  chargeStrength = -400;
+  linkDistance = null; // defaults to the radial orbit radius
+
+  constructor({ iterations, chargeStrength, linkDistance } = {}) {
+    if (typeof iterations === "number") this.iterations = iterations;
+    if (typeof chargeStrength === "number") this.chargeStrength = chargeStrength;
+    if (typeof linkDistance === "number") this.linkDistance = linkDistance;
+  }
+
+  layout(nodes, links, geometry) {
+    if (!nodes || nodes.length < 1) return new Map();
+
+    const { cx, cy, maxR } = orbitBounds(geometry);
+    const { focus } = splitFocus(nodes);
+
+    // Simulate on copies: d3 mutates its nodes (index, vx, vy, ...) and would otherwise start from
+    // the positions left behind by whichever layout rendered the graph last.
+    const simNodes = nodes.map((n) => (n === focus ? { id: n.id, fx: cx, fy: cy } : { id: n.id }));
+    const simLinks = (links ?? []).map((l) => ({ source: l.source, target: l.target }));
+    const collideRadius =
+      Math.max(geometry.radius, geometry.labelHalfWidth ?? 0) + geometry.canvasMargin;
+
+    const simulation = d3
+      .forceSimulation(simNodes)
+      .force(
+        "link",
+        d3
+          .forceLink(simLinks)
+          .id((d) => d.id)
+          .distance(this.linkDistance ?? maxR)
+      )
+      .force("charge", d3.forceManyBody().strength(this.chargeStrength))
+      .force("collide", d3.forceCollide(collideRadius))
+      .force("x", d3.forceX(cx).strength(0.05))
+      .force("y", d3.forceY(cy).strength(0.05))
+      .stop();
+
+    for (let i = 0; i < this.iterations; i++) simulation.tick();
+
+    nodes.forEach((n, i) => {
+      n.x = simNodes[i].x;
+      n.y = simNodes[i].y;
+    });
+
+    return toNodeMap(nodes);
+  }
+}
+
+export const LAYOUTS = Object.freeze({
+  [RadialLayout.id]: RadialLayout,
+  [ForceLayout.id]: ForceLayout,
+  [ConcentricLayout.id]: ConcentricLayout,
+  [SectorLayout.id]: SectorLayout
+});
+
+// Create a layout strategy by id, falling back to the radial layout for unknown ids.
+export function createLayout(id, options) {
+  const Layout = LAYOUTS[id] ?? RadialLayout;
+  return new Layout(options);
+}
@@ -1,8 +1,89 @@
+/* global d3 */
+import { RadialLayout } from "./layouts";
+export { IdentityResolver, normalizeEntityName } from "./identityResolver";
+import { IdentityResolver } from "./identityResolver";
+import { parseEnvelope } from "./envelopeParser";
+export {
+  parseEnvelope,
+  hasFatalError,
+  ERRORS as ENVELOPE_ERRORS,
+  MIGRATIONS as ENVELOPE_MIGRATIONS,
+  CURRENT_SCHEMA_VERSION
+} from "./envelopeParser";
+import {
+  relationshipRows,
+  toCsv,
+  toGraphML,
+  toFeedbackJsonl,
+  serializeSvg,
+  rasterizeSvg
+} from "./exporters";
+
+export { downloadFile, toDataUrl } from "./exporters";
+
+export {
+  LAYOUTS,
+  RadialLayout,
+  ForceLayout,
+  ConcentricLayout,
+  SectorLayout,
+  createLayout
+} from "./layouts";
+
+// Id of the synthetic "+N more" node that holds related nodes beyond the node limit
+const OVERFLOW_NODE_ID = "__rra_overflow__";
+
+// Users' feedback on a relationship, by the value stored in RRARelationshipFeedback__c.Feedback__c.
+// label: shown on the relationship; action: the tooltip action that gives it; isHidden: left out of
+// the graph unless the showDismissed filter is set.  Endorsed relationships are drawn first.
+export const FEEDBACK = Object.freeze({
+  endorsed: { label: "Endorsed", action: "Endorse", isHidden: false },
+  incorrect: { label: "Flagged as incorrect", action: "Flag as wrong", isHidden: true },
+  dismissed: { label: "Dismissed", action: "Dismiss", isHidden: true }
+});
+
+// CRM match state of a node or relationship: "CRM record" for CRM relationships and confirmed
+// matches, "Possible match" for unconfirmed web matches
+export function crmStatusOf({ recordId, source, isCrmConfirmed }) {
+  if (!recordId) return "Not in CRM";
+  return source === "web" && !isCrmConfirmed ? "Possible match" : "CRM record";
+}
+
+// A confidence or importance score (0-1) as a whole percentage, e.g. "80%", or `blank` when there
+// is none
+export function formatScore(score, blank = "") {
+  const n = toScore(score);
+  return n === undefined ? blank : `${Math.round(n * 100)}%`;
+}
+
 export class RraGraph {
   static BADGE_BACKGROUND_MIN_RADIUS = 6;
   static LINK_BADGE_SIZE = 12;
   static PLUS_BADGE_SIZE = 8;
 
+  // Candidate positions for a predicate label along its link (0 = source, 1 = target), tried in
+  // order until one doesn't collide with a node or another label.
+  static LINK_LABEL_POSITIONS = [0.5, 0.4, 0.6, 0.3, 0.7];
+  static LINK_LABEL_PADDING = 2; // px around each label's box when checking collisions
+
+  // Stroke width of a link holding one relationship, and how much each extra relationship adds
+  static LINK_BASE_WIDTH = 2;
+  static LINK_WIDTH_PER_RELATIONSHIP = 1.5;
+  static LINK_MAX_WIDTH = 8;
+
+  // Related nodes are drawn between these multiples of the base radius, by importanceScore.
+  // Nodes without a score use the midpoint; the focus and overflow nodes use the base radius.
+  static NODE_SCALE_MIN = 0.7;
+  static NODE_SCALE_MAX = 1.3;
+
+  // Opacity of a link with confidenceScore 0; links without a score are fully opaque
+  static LINK_MIN_OPACITY = 0.25;
+
+  // Legend geometry, in px
+  static LEGEND_PADDING = 6;
+  static LEGEND_ROW_HEIGHT = 16;
+  static LEGEND_SWATCH_WIDTH = 20;
+
   static defaultOptions = {
     // CSS selector or SVG element
     svg: "svg",
@@ -19,13 +100,39 @@ export class RraGraph {
     //
     // Refer to README for instructions on how to obtain this asset.
     iconsUrl: "",
+    iconsCustomUrl: "", // SLDS custom sprite, for custom object icons
+    objectTypeIcons: {}, // lowercase record type -> SLDS icon name, e.g. "custom:custom57"
 
     iconSize: 22, // width/height of the <use> glyph
 
     // Label sizing; used for layout calculations
     maxLabelChars: 20, // higher hard cap than ERI1's; beyond this we add "…"
+    maxPredicateChars: 24, // link label cap; the full predicate is shown on hover
 
-    onNodeClick: null // callback for node click events
+    // Maximum number of related nodes to draw; the rest collapse into a "+N more" node that
+    // expands in place when clicked.  null draws the data as given (which GraphDataBuilder.build
+    // may already have limited).
+    maxNodes: null,
+
+    // Layout strategy (see ./layouts); defaults to a RadialLayout
+    layout: null,
+
+    // Zoom/pan scale limits
+    zoomExtent: [0.25, 4],
+    fitDuration: 250, // ms, transition used by fitToView()
+
+    // Draw a legend explaining node colours, badges and link styles in the bottom-left corner
+    showLegend: true,
+
+    onNodeClick: null, // callback for node click events
+
+    // Called once the overflow node is expanded, so the caller can keep every node in later builds
+    onOverflowExpand: null,
+
+    // Callback for the feedback actions on each relationship in a node's tooltip, called with
+    // { uuid, predicate, feedback, nodeData } where feedback is a FEEDBACK key, or null to clear it.
+    // Without it the tooltip has no actions.
+    onRelationshipFeedback: null
   };
 
   // Mapping beteen entity type and SLDS icon id.
@@ -44,10 +151,32 @@ export class RraGraph {
 
   static DEFAULT_ENTITY_ICON = "entity";
 
+  // Display names of relationship sources
+  static SOURCE_LABELS = Object.freeze({
+    crm: "CRM",
+    web: "Web",
+    user: "Manual"
+  });
+
   options = {};
 
+  // Graph data passed to the last render() call, and the node limit currently in effect (raised
+  // when the overflow node is expanded)
+  _data = null;
+  _nodeLimit = null;
+
+  // Id of the node holding the roving tabindex, so keyboard focus survives re-renders
+  _focusedId = null;
+
+  // Live region for screen reader announcements (see _getAnnouncer), and the tooltip shared by
+  // every render of this graph with its pending show/hide timer
+  _announcer = null;
+  _tooltip = null;
+  _tooltipTimeout = null;
+
   constructor(options) {
     this.options = { ...RraGraph.defaultOptions, ...options };
+    this._nodeLimit = this.options.maxNodes;
   }
 
   clear() {
@@ -55,50 +184,25 @@ export class RraGraph {
     while (svg.firstChild) svg.removeChild(svg.firstChild);
   }
 
-  // Compute a deterministic radial layout with the focus node at the center and all other nodes
-  // evenly spaced around a circle.  Mutates nodes to add x/y, returning a Map id->node for
-  // convenience.
-  _layout(nodes, { labelHalfWidth = 0, labelHeight = 0 } = {}) {
+  // Delegate node placement to the configured layout strategy.  Mutates nodes to add x/y,
+  // returning a Map id->node for convenience.
+  _layout(nodes, links, { labelHalfWidth = 0, labelHeight = 0 } = {}) {
     if (!nodes || nodes.length < 1) return new Map();
 
     const { width, height, radius, canvasMargin, startAngle, textOffsetY } = this.options;
+    const layout = this.options.layout ?? new RadialLayout();
 
-    const cx = width / 2;
-    const cy = height / 2;
-
-    const focus = nodes.find((n) => n.isFocus) ?? nodes[0];
-    const related = nodes.filter((n) => n !== focus);
-    const N = related.length;
-
-    // Per-side padding that accounts for node size + label footprint
-    const padX = canvasMargin + Math.max(radius, labelHalfWidth);
-    const padLeft = padX;
-    const padRight = padX;
-
-    const padTop = canvasMargin + radius; // no label above
-    const padBottom = canvasMargin + radius + textOffsetY + labelHeight;
-
-    // Max allowed orbit radius so nothing crosses any side
-    const rXLeft = cx - padLeft;
-    const rXRight = width - cx - padRight;
-    const rYTop = cy - padTop;
-    const rYBottom = height - cy - padBottom;
-
-    const circleR = Math.max(radius * 3, Math.min(rXLeft, rXRight, rYTop, rYBottom));
-
-    if (focus) {
-      focus.x = cx;
-      focus.y = cy;
-    }
-
-    for (let i = 0; i < N; i++) {
-      const theta = startAngle + (2 * Math.PI * i) / Math.max(1, N);
-      const n = related[i];
-      n.x = cx + circleR * Math.cos(theta);
-      n.y = cy + circleR * Math.sin(theta);
-    }
-
-    return new Map(nodes.map((n) => [n.id, n]));
+    // Lay out for the largest node size so importance-scaled nodes still fit on the canvas
+    return layout.layout(nodes, links, {
+      width,
+      height,
+      radius: radius * RraGraph.NODE_SCALE_MAX,
+      canvasMargin,
+      startAngle,
+      textOffsetY,
+      labelHalfWidth,
+      labelHeight
+    });
   }
 
   getIconIdForNode(d) {
@@ -111,12 +215,55 @@ export class RraGraph {
     return icon || RraGraph.DEFAULT_ENTITY_ICON;
   }
 
+  // Icon of a node's object type when the graph was given one (see options.objectTypeIcons), else
+  // the generic icon for its record or entity type
+  getNodeIconUrl(d) {
+    const iconName = d.recordType && this.options.objectTypeIcons?.[d.recordType.toLowerCase()];
+    const [sprite, icon] = iconName ? iconName.split(":") : [];
+
+    if (sprite === "standard") return this.getIconUrl(icon);
+    if (sprite === "custom" && this.options.iconsCustomUrl) {
+      return `${this.options.iconsCustomUrl}#${icon}`;
+    }
+    return this.getIconUrl(this.getIconIdForNode(d));
+  }
+
   // CRM badge (e.g., link icon) to show in the corner if node has a CRM record and isn't the anchor
   // node.
   getCrmBadgeIconId() {
     return "link";
   }
 
+  // Scale factor applied to the base radius (and icon) of a node, by importance
+  getNodeScale(d) {
+    if (d.isFocus || d.isOverflow) return 1;
+
+    const { NODE_SCALE_MIN: min, NODE_SCALE_MAX: max } = RraGraph;
+    const importance = typeof d.importanceScore === "number" ? d.importanceScore : 0.5;
+    return min + (max - min) * Math.min(1, Math.max(0, importance));
+  }
+
+  getNodeRadius(d) {
+    return this.options.radius * this.getNodeScale(d);
+  }
+
+  // Fainter links for less confident relationships
+  getLinkOpacity(d) {
+    if (typeof d.confidenceScore !== "number") return 1;
+
+    const min = RraGraph.LINK_MIN_OPACITY;
+    return min + (1 - min) * Math.min(1, Math.max(0, d.confidenceScore));
+  }
+
+  // Thicker links for edges that aggregate several relationships to the same entity
+  getLinkWidth(d) {
+    const count = d.relationships?.length ?? 1;
+    return Math.min(
+      RraGraph.LINK_MAX_WIDTH,
+      RraGraph.LINK_BASE_WIDTH + (count - 1) * RraGraph.LINK_WIDTH_PER_RELATIONSHIP
+    );
+  }
+
   getIconUrl(icon) {
     return `${this.options.iconsUrl}#${icon}`;
   }
@@ -125,29 +272,35 @@ export class RraGraph {
     return `${this.options.iconsUtilUrl}#${icon}`;
   }
 
-  render(data) {
-    const {
-      svg: svgSelector,
-      width,
-      height,
-      radius,
-      iconSize,
-      textOffsetY,
-      maxLabelChars
-    } = this.options;
+  // Reveal the nodes collapsed into the overflow node and redraw in place.
+  expandOverflow() {
+    if (!this._data) return;
+
+    this._nodeLimit = Infinity;
+    this.clear();
+    this.render(this._data);
+    this.options.onOverflowExpand?.();
+  }
+
+  render(sourceData) {
+    this._data = sourceData;
+    const data = this._nodeLimit == null ? sourceData : applyNodeLimit(sourceData, this._nodeLimit);
+
+    const { svg: svgSelector, width, height, iconSize, textOffsetY, maxLabelChars } = this.options;
     const svg = d3.select(svgSelector).attr("width", width).attr("height", height);
 
-    const getLabelText = (d) => {
-      const t = d.label ?? d.id;
-      return t.length > maxLabelChars ? t.slice(0, maxLabelChars) + "…" : t;
-    };
+    const getLabelText = (d) => truncateText(d.label ?? d.id, maxLabelChars);
 
     const labels = (data.nodes ?? []).map(getLabelText);
-    const { maxLabelWidth, labelHeight } = measureLabelMetrics(svg, labels, {
+    const {
+      maxLabelWidth,
+      labelHeight,
+      widths: labelWidths
+    } = measureLabelMetrics(svg, labels, {
       labelClass: "node-label"
     });
 
-    const nodeById = this._layout(data.nodes, {
+    const nodeById = this._layout(data.nodes, data.links, {
       labelHalfWidth: maxLabelWidth / 2,
       labelHeight
     });
@@ -168,41 +321,94 @@ export class RraGraph {
       })
       .filter(Boolean);
 
-    svg
+    // All graph content lives in a single group so zoom/pan can transform it as a whole
+    const viewport = svg.append("g").attr("class", "viewport");
+
+    const linkG = viewport
       .append("g")
       .attr("class", "links")
-      .selectAll("line")
+      .selectAll("g")
       .data(links)
-      .enter()
+      .join("g")
+      .attr("class", "link");
+
+    // Wide transparent stroke so thin links are easy to hover
+    linkG
       .append("line")
-      .attr("class", (d) => `link-line ${d.isCrmLink ? "link-crm" : "link-default"}`)
+      .attr("class", "link-hit")
       .attr("x1", (d) => d.source.x)
       .attr("y1", (d) => d.source.y)
       .attr("x2", (d) => d.target.x)
       .attr("y2", (d) => d.target.y);
 
-    const g = svg
+    linkG
+      .append("line")
+      .attr("class", (d) => {
+        if (d.isOverflow) return "link-line link-overflow";
+        if (d.isUserAdded) return "link-line link-user";
+        return `link-line ${d.isCrmLink ? "link-crm" : "link-default"}`;
+      })
+      .attr("x1", (d) => d.source.x)
+      .attr("y1", (d) => d.source.y)
+      .attr("x2", (d) => d.target.x)
+      .attr("y2", (d) => d.target.y)
+      .style("stroke-width", (d) => this.getLinkWidth(d))
+      .style("stroke-opacity", (d) => this.getLinkOpacity(d));
+
+    // Native hover title carries every full, untruncated predicate on the link
+    linkG
+      .filter((d) => !!d.predicate)
+      .append("title")
+      .text((d) => getPredicates(d).join("\n"));
+
+    this._renderLinkLabels(svg, linkG, {
+      nodes: data.nodes,
+      nodeLabelWidths: labelWidths,
+      nodeLabelHeight: labelHeight
+    });
+
+    const focusNode = data.nodes.find((n) => n.isFocus);
+    svg
+      .attr("role", "group")
+      .attr(
+        "aria-label",
+        `Relationship graph for ${focusNode?.label ?? focusNode?.id ?? "record"}`
+      );
+
+    // Roving tabindex: exactly one node is in the tab order; arrow keys move between nodes
+    if (!data.nodes.some((n) => n.id === this._focusedId)) {
+      this._focusedId = data.nodes[0]?.id ?? null;
+    }
+
+    const g = viewport
       .append("g")
       .attr("class", "nodes")
       .selectAll("g")
       .data(data.nodes)
       .join("g")
+      .attr("class", "node")
       .attr("transform", (d) => `translate(${d.x},${d.y})`)
+      .attr("role", "button")
+      .attr("tabindex", (d) => (d.id === this._focusedId ? 0 : -1))
+      .attr("aria-label", (d) => this.getNodeAriaLabel(d))
       .style("cursor", "pointer")
-      .on("click", (event, d) => {
-        if (this.options.onNodeClick) {
-          this.options.onNodeClick(d);
-        }
-      });
+      .on("click", (event, d) => this._activateNode(d))
+      .on("keydown", (event, d) => this._handleNodeKeydown(event, d, g));
+
+    const nodeRadius = (d) => this.getNodeRadius(d);
+    const badgeOffset = (d) => nodeRadius(d) * Math.cos(Math.PI / 4);
+    const nodeIconSize = (d) => iconSize * this.getNodeScale(d);
 
     g.append("circle")
-      .attr("r", radius)
+      .attr("r", nodeRadius)
       .attr("class", "node-shell")
-      .classed("node-shell--focus", (d) => !!d.isFocus);
+      .classed("node-shell--focus", (d) => !!d.isFocus)
+      .classed("node-shell--overflow", (d) => !!d.isOverflow)
+      .classed("node-shell--user", (d) => !!d.isUserAdded);
 
     // Inner ring for non-focus nodes
     g.append("circle") //.filter((d) => !d.isFocus)
-      .attr("r", radius - 3)
+      .attr("r", (d) => nodeRadius(d) - 3)
       .attr("class", (d) => {
         const cl = ["node-inner"];
         if (d.isFocus || d.isCrmLink) {
@@ -214,17 +420,26 @@ export class RraGraph {
 
     // Centered Salesforce icon
     // Note: we center by translating the <use> so its mid-point sits at 0,0.
-    g.append("use")
-      .attr("href", (d) => this.getIconUrl(this.getIconIdForNode(d)))
-      .attr("width", iconSize)
-      .attr("height", iconSize)
-      .attr("x", -iconSize / 2)
-      .attr("y", -iconSize / 2)
+    g.filter((d) => !d.isOverflow)
+      .append("use")
+      .attr("href", (d) => this.getNodeIconUrl(d))
+      .attr("width", nodeIconSize)
+      .attr("height", nodeIconSize)
+      .attr("x", (d) => -nodeIconSize(d) / 2)
+      .attr("y", (d) => -nodeIconSize(d) / 2)
       .attr("class", "node-icon");
 
+    // Overflow nodes show their count instead of an icon
+    g.filter((d) => !!d.isOverflow)
+      .append("text")
+      .attr("class", "node-overflow-count")
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "central")
+      .text((d) => `+${d.overflowCount}`);
+
     // Badge overlay (bottom-right), shown for nodes that aren't the focus
     const badgeG = g
-      .filter((d) => !d.isFocus)
+      .filter((d) => !d.isFocus && !d.isOverflow)
       .append("g")
       .attr("class", "node-badge");
 
@@ -232,8 +447,8 @@ export class RraGraph {
     badgeG
       .append("circle")
       .attr("r", Math.max(RraGraph.BADGE_BACKGROUND_MIN_RADIUS, RraGraph.LINK_BADGE_SIZE / 2))
-      .attr("cx", radius * Math.cos(Math.PI / 4))
-      .attr("cy", radius * Math.sin(Math.PI / 4))
+      .attr("cx", badgeOffset)
+      .attr("cy", badgeOffset)
       .attr("class", "node-badge-bg");
 
     // Link badge glyph for CRM records
@@ -243,8 +458,8 @@ export class RraGraph {
       .attr("href", this.getIconUrl("link"))
       .attr("width", RraGraph.LINK_BADGE_SIZE)
       .attr("height", RraGraph.LINK_BADGE_SIZE)
-      .attr("x", radius * Math.cos(Math.PI / 4) - RraGraph.LINK_BADGE_SIZE / 2)
-      .attr("y", radius * Math.sin(Math.PI / 4) - RraGraph.LINK_BADGE_SIZE / 2);
+      .attr("x", (d) => badgeOffset(d) - RraGraph.LINK_BADGE_SIZE / 2)
+      .attr("y", (d) => badgeOffset(d) - RraGraph.LINK_BADGE_SIZE / 2);
 
     // Plus sign badge glyph for new records
     badgeG
@@ -253,18 +468,325 @@ export class RraGraph {
       .attr("href", this.getIconUtilUrl("add"))
       .attr("width", RraGraph.PLUS_BADGE_SIZE)
       .attr("height", RraGraph.PLUS_BADGE_SIZE)
-      .attr("x", radius * Math.cos(Math.PI / 4) - RraGraph.PLUS_BADGE_SIZE / 2)
-      .attr("y", radius * Math.sin(Math.PI / 4) - RraGraph.PLUS_BADGE_SIZE / 2);
+      .attr("x", (d) => badgeOffset(d) - RraGraph.PLUS_BADGE_SIZE / 2)
+      .attr("y", (d) => badgeOffset(d) - RraGraph.PLUS_BADGE_SIZE / 2);
 
     // Label under node
     g.append("text")
       .attr("class", "node-label")
-      .attr("y", radius + textOffsetY)
+      .attr("y", (d) => nodeRadius(d) + textOffsetY)
       .attr("text-anchor", "middle")
       .attr("dominant-baseline", "hanging")
       .text((d) => getLabelText(d));
 
-    this._setupTooltip(svg, g, radius);
+    this._setupTooltip(svg, g, nodeRadius);
+    this._setupZoom(svg, viewport);
+
+    if (this.options.showLegend) {
+      this._renderLegend(svg);
+    }
+
+    // Layouts such as the force layout can place nodes outside the canvas; bring them into view
+    this.fitToView({ duration: 0, onlyIfOverflowing: true });
+  }
+
+  // Draw each link's predicate near its midpoint.  Labels are placed greedily: each one takes the
+  // first candidate position along its link that doesn't overlap a node (including its label) or a
+  // previously placed predicate.  Labels with no free spot stay hidden until their link is hovered.
+  _renderLinkLabels(svg, linkSelection, { nodes, nodeLabelWidths, nodeLabelHeight }) {
+    const { textOffsetY, maxPredicateChars } = this.options;
+    const pad = RraGraph.LINK_LABEL_PADDING;
+
+    const labelled = linkSelection.filter((d) => !!d.predicate);
+    const texts = labelled.data().map((d) => {
+      const predicates = getPredicates(d);
+      const text = truncateText(predicates[0], maxPredicateChars);
+      return predicates.length > 1 ? `${text} +${predicates.length - 1}` : text;
+    });
+    const { widths, labelHeight } = measureLabelMetrics(svg, texts, { labelClass: "link-label" });
+
+    const obstacles = (nodes ?? []).map((n, i) => {
+      const radius = this.getNodeRadius(n);
+      const w = Math.max(2 * radius, nodeLabelWidths[i] ?? 0);
+      return {
+        x: n.x - w / 2,
+        y: n.y - radius,
+        w,
+        h: 2 * radius + textOffsetY + nodeLabelHeight
+      };
+    });
+
+    const placements = labelled.data().map((d, i) => {
+      const w = widths[i] + 2 * pad;
+      const h = labelHeight + 2 * pad;
+
+      for (const t of RraGraph.LINK_LABEL_POSITIONS) {
+        const x = d.source.x + (d.target.x - d.source.x) * t;
+        const y = d.source.y + (d.target.y - d.source.y) * t;
+        const box = { x: x - w / 2, y: y - h / 2, w, h };
+
+        if (!obstacles.some((o) => boxesOverlap(o, box))) {
+          obstacles.push(box);
+          return { x, y, hidden: false };
+        }
+      }
+
+      return {
+        x: (d.source.x + d.target.x) / 2,
+        y: (d.source.y + d.target.y) / 2,
+        hidden: true
+      };
+    });
+
+    labelled
+      .append("text")
+      .attr("class", "link-label")
+      .classed("link-label--hidden", (d, i) => placements[i].hidden)
+      .attr("x", (d, i) => placements[i].x)
+      .attr("y", (d, i) => placements[i].y)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .text((d, i) => texts[i]);
+  }
+
+  // Text read by screen readers for a node: its name, relationships and CRM state
+  getNodeAriaLabel(d) {
+    const name = d.label ?? d.id;
+    if (d.isOverflow) return `Show ${d.overflowCount} more relationships`;
+    if (d.isFocus) return `${name}, current record`;
+
+    const addedBy = d.isUserAdded ? ", added manually" : "";
+    return `${name}, ${getPredicates(d).join(", ")}, ${crmStatusOf(d)}${addedBy}`;
+  }
+
+  // Click or Enter/Space on a node: expand the overflow node or hand the node to onNodeClick
+  _activateNode(d) {
+    if (d.isOverflow) {
+      // Keep keyboard focus on the first entity revealed by the expansion
+      this._focusedId = d.hiddenNodes[0]?.id ?? null;
+      this.expandOverflow();
+      this._focusNodeElement(this._focusedId);
+    } else if (this.options.onNodeClick) {
+      this.options.onNodeClick(d);
+    }
+  }
+
+  _handleNodeKeydown(event, d, nodeSelection) {
+    const ids = nodeSelection.data().map((n) => n.id);
+    const index = ids.indexOf(d.id);
+    let next = null;
+
+    switch (event.key) {
+      case "Enter":
+      case " ":
+        event.preventDefault();
+        this._activateNode(d);
+        return;
+      case "ArrowRight":
+      case "ArrowDown":
+        next = (index + 1) % ids.length;
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+        next = (index - 1 + ids.length) % ids.length;
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = ids.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this._focusedId = ids[next];
+    nodeSelection.attr("tabindex", (n) => (n.id === this._focusedId ? 0 : -1));
+    this._focusNodeElement(this._focusedId);
+  }
+
+  _focusNodeElement(id) {
+    const svg = d3.select(this.options.svg);
+    svg
+      .selectAll("g.node")
+      .filter((n) => n.id === id)
+      .each(function () {
+        this.focus();
+      });
+  }
+
+  // Visually hidden live region used to read tooltip content when a node receives keyboard focus.
+  // Lives in document.body next to the tooltips.
+  _getAnnouncer() {
+    if (!this._announcer || !this._announcer.node().isConnected) {
+      this._announcer = d3
+        .select("body")
+        .append("div")
+        .attr("class", "rra-announcer")
+        .attr("role", "status")
+        .attr("aria-live", "polite")
+        .style("position", "absolute")
+        .style("width", "1px")
+        .style("height", "1px")
+        .style("overflow", "hidden")
+        .style("clip", "rect(0 0 0 0)")
+        .style("white-space", "nowrap");
+    }
+    return this._announcer;
+  }
+
+  // Standalone SVG document of the graph as currently shown, with styles and icons inlined
+  toSvg() {
+    return serializeSvg(d3.select(this.options.svg).node());
+  }
+
+  // PNG data URL of the graph as currently shown
+  async toPng({ scale = 2 } = {}) {
+    const { width, height } = this.options;
+    return rasterizeSvg(await this.toSvg(), { width, height, scale });
+  }
+
+  // Key to node colours, CRM badges and link styles, drawn outside the zoomable viewport so it stays
+  // fixed in the bottom-left corner.  Swatches reuse the classes of the elements they explain.
+  _renderLegend(svg) {
+    const { height, canvasMargin } = this.options;
+    const { LEGEND_PADDING: pad, LEGEND_ROW_HEIGHT: rowH, LEGEND_SWATCH_WIDTH: swatchW } = RraGraph;
+
+    const rows = [
+      { label: "Contact or lead", swatch: "node", className: "node-inner node-crm node-contact" },
+      {
+        label: "Account or opportunity",
+        swatch: "node",
+        className: "node-inner node-crm node-account"
+      },
+      { label: "Not in CRM", swatch: "node", className: "node-inner" },
+      { label: "Linked CRM record", swatch: "badge", icon: this.getIconUrl("link") },
+      { label: "No CRM record yet", swatch: "badge", icon: this.getIconUtilUrl("add") },
+      { label: "CRM relationship", swatch: "line", className: "link-line link-crm" },
+      { label: "Web relationship", swatch: "line", className: "link-line link-default" },
+      { label: "Added manually", swatch: "line", className: "link-line link-user" },
+      { label: "Larger node: more important", swatch: "size" },
+      { label: "Fainter line: less confident", swatch: "opacity", className: "link-line link-crm" }
+    ];
+
+    const { maxLabelWidth } = measureLabelMetrics(
+      svg,
+      rows.map((r) => r.label),
+      { labelClass: "legend-label" }
+    );
+    const w = 2 * pad + swatchW + pad + maxLabelWidth;
+    const h = 2 * pad + rows.length * rowH;
+
+    const legend = svg
+      .append("g")
+      .attr("class", "legend")
+      .attr("transform", `translate(${canvasMargin},${height - canvasMargin - h})`);
+
+    legend
+      .append("rect")
+      .attr("class", "legend-bg")
+      .attr("width", w)
+      .attr("height", h)
+      .attr("rx", 4);
+
+    const row = legend
+      .selectAll("g.legend-row")
+      .data(rows)
+      .join("g")
+      .attr("class", "legend-row")
+      .attr("transform", (d, i) => `translate(${pad},${pad + i * rowH + rowH / 2})`);
+
+    const cx = swatchW / 2;
+    const r = rowH / 2 - 2;
+
+    row
+      .filter((d) => d.swatch === "node")
+      .append("circle")
+      .attr("cx", cx)
+      .attr("r", r)
+      .attr("class", (d) => d.className);
+
+    const badge = row.filter((d) => d.swatch === "badge");
+    badge.append("circle").attr("cx", cx).attr("r", r).attr("class", "node-badge-bg");
+    badge
+      .append("use")
+      .attr("href", (d) => d.icon)
+      .attr("width", RraGraph.PLUS_BADGE_SIZE)
+      .attr("height", RraGraph.PLUS_BADGE_SIZE)
+      .attr("x", cx - RraGraph.PLUS_BADGE_SIZE / 2)
+      .attr("y", -RraGraph.PLUS_BADGE_SIZE / 2);
+
+    row
+      .filter((d) => d.swatch === "line" || d.swatch === "opacity")
+      .append("line")
+      .attr("class", (d) => d.className)
+      .attr("x1", 0)
+      .attr("x2", swatchW)
+      .style("stroke-opacity", (d) => (d.swatch === "opacity" ? RraGraph.LINK_MIN_OPACITY : 1));
+
+    const size = row.filter((d) => d.swatch === "size");
+    size
+      .append("circle")
+      .attr("cx", r * 0.6)
+      .attr("r", r * 0.6)
+      .attr("class", "node-inner");
+    size
+      .append("circle")
+      .attr("cx", swatchW - r)
+      .attr("r", r)
+      .attr("class", "node-inner");
+
+    row
+      .append("text")
+      .attr("class", "legend-label")
+      .attr("x", swatchW + pad)
+      .attr("dominant-baseline", "central")
+      .text((d) => d.label);
+  }
+
+  _setupZoom(svg, viewport) {
+    const { zoomExtent } = this.options;
+
+    this._svg = svg;
+    this._viewport = viewport;
+    this._zoom = d3
+      .zoom()
+      .scaleExtent(zoomExtent)
+      .on("zoom", (event) => {
+        viewport.attr("transform", event.transform);
+      });
+
+    // Double-click is reserved for nodes; keep wheel/drag zoom and pan.  The zoom state is stored
+    // on the <svg> element itself, so reset it to match the freshly drawn viewport.
+    svg.call(this._zoom).on("dblclick.zoom", null);
+    svg.call(this._zoom.transform, d3.zoomIdentity);
+  }
+
+  // Scale and translate the graph so all of its content is visible and centered.  Never zooms in
+  // past 1:1, so small graphs keep their natural size.
+  fitToView({ duration = this.options.fitDuration, onlyIfOverflowing = false } = {}) {
+    if (!this._zoom || !this._viewport) return;
+
+    const { width, height, canvasMargin, zoomExtent } = this.options;
+    const box = this._viewport.node().getBBox();
+    if (!box.width || !box.height) return;
+
+    const overflows =
+      box.x < 0 || box.y < 0 || box.x + box.width > width || box.y + box.height > height;
+    if (onlyIfOverflowing && !overflows) return;
+
+    const scale = Math.max(
+      zoomExtent[0],
+      Math.min(1, (width - 2 * canvasMargin) / box.width, (height - 2 * canvasMargin) / box.height)
+    );
+    const transform = d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(scale)
+      .translate(-(box.x + box.width / 2), -(box.y + box.height / 2));
+
+    const target = duration > 0 ? this._svg.transition().duration(duration) : this._svg;
+    target.call(this._zoom.transform, transform);
   }
 
   _truncateUrl(url, maxLength = 100) {
@@ -274,29 +796,159 @@ export class RraGraph {
     return url.substring(0, maxLength - 3) + "...";
   }
 
-  _buildTooltipContent(nodeData) {
-    let content = nodeData.context ?? nodeData.label ?? nodeData.id;
+  // Plain-data description of a node's tooltip card.  Every value is text; citationURL is only set
+  // for http/https links (see safeUrl).  Items carry feedback actions when onRelationshipFeedback
+  // is set.
+  //
+  //   { title, message, items: [{ uuid, predicate, meta, context, citation, citationURL, status,
+  //     actions: [{ feedback, label }] }] }
+  buildTooltipCard(nodeData) {
+    const title = nodeData.label ?? nodeData.id;
+
+    if (nodeData.isOverflow) {
+      return {
+        title,
+        message: `Click to show ${nodeData.overflowCount} more relationships`,
+        items: []
+      };
+    }
+
+    // Entities with several relationships list each predicate with its own context and citation
+    const relationships = nodeData.relationships?.length > 0 ? nodeData.relationships : [nodeData];
+
+    const items = relationships
+      .filter((r) => r.predicate || r.context || r.citationURL)
+      .map((r) => {
+        const citationURL = safeUrl(r.citationURL);
+        const meta = [
+          RraGraph.SOURCE_LABELS[r.source],
+          typeof r.confidenceScore === "number"
+            ? `${formatScore(r.confidenceScore)} confidence`
+            : null
+        ].filter(Boolean);
+
+        const feedback = FEEDBACK[r.feedback];
+
+        return {
+          uuid: r.uuid,
+          predicate: r.predicate,
+          meta: meta.join(" · "),
+          context: r.context,
+          citation: r.citation || (citationURL ? this._truncateUrl(citationURL) : undefined),
+          citationURL,
+          status: feedback
+            ? [feedback.label, r.feedbackReason].filter(Boolean).join(": ")
+            : undefined,
+          actions: this._feedbackActions(r, nodeData)
+        };
+      });
+
+    return { title, message: nodeData.isFocus ? "Current record" : undefined, items };
+  }
+
+  _feedbackActions(relationship, nodeData) {
+    if (!this.options.onRelationshipFeedback || !relationship.uuid || nodeData.isFocus) {
+      return undefined;
+    }
+    if (FEEDBACK[relationship.feedback]) {
+      return [{ feedback: null, label: "Undo" }];
+    }
+    return Object.entries(FEEDBACK).map(([feedback, { action }]) => ({ feedback, label: action }));
+  }
+
+  // Render a tooltip card into the tooltip element.  Content is only ever set as text, never HTML,
+  // because context and citations come from web research.
+  _renderTooltipContent(tooltip, nodeData) {
+    const card = this.buildTooltipCard(nodeData);
+
+    tooltip.text("");
 
-    if (nodeData.citationURL) {
-      const displayUrl = this._truncateUrl(nodeData.citationURL);
-      content += `<br><br><a href="${nodeData.citationURL}" target="_blank" style="color: #87CEEB; text-decoration: underline;">[Source] ${displayUrl}</a>`;
+    tooltip.append("div").style("font-weight", "bold").style("font-size", "13px").text(card.title);
+
+    if (card.message) {
+      tooltip.append("div").text(card.message);
     }
 
-    return content;
+    for (const item of card.items) {
+      const section = tooltip.append("div").style("margin-top", "6px");
+
+      if (item.predicate) {
+        section.append("div").style("font-weight", "bold").text(item.predicate);
+      }
+      if (item.meta) {
+        section.append("div").style("color", "#c9c9c9").text(item.meta);
+      }
+      if (item.context) {
+        section.append("div").style("margin-top", "2px").text(item.context);
+      }
+      if (item.citationURL) {
+        section
+          .append("a")
+          .attr("href", item.citationURL)
+          .attr("target", "_blank")
+          .attr("rel", "noopener noreferrer")
+          .style("display", "block")
+          .style("margin-top", "2px")
+          .style("color", "#87CEEB")
+          .style("text-decoration", "underline")
+          .text(`[Source] ${item.citation}`);
+      } else if (item.citation) {
+        section.append("div").style("margin-top", "2px").text(`[Source] ${item.citation}`);
+      }
+      if (item.status) {
+        section
+          .append("div")
+          .style("margin-top", "2px")
+          .style("font-style", "italic")
+          .text(item.status);
+      }
+      if (item.actions) {
+        const actions = section.append("div").style("margin-top", "4px");
+        for (const action of item.actions) {
+          actions
+            .append("button")
+            .attr("type", "button")
+            .style("background", "none")
+            .style("border", "none")
+            .style("padding", "0")
+            .style("margin-right", "10px")
+            .style("font", "inherit")
+            .style("color", "#87CEEB")
+            .style("text-decoration", "underline")
+            .style("cursor", "pointer")
+            .text(action.label)
+            .on("click", () => {
+              tooltip.style("opacity", 0).style("pointer-events", "none");
+              this.options.onRelationshipFeedback({
+                uuid: item.uuid,
+                predicate: item.predicate,
+                feedback: action.feedback,
+                nodeData
+              });
+            });
+        }
+      }
+    }
   }
 
   _calculateTooltipPosition(svg, nodeData, nodeRadius) {
     const svgElement = svg.node();
     const svgRect = svgElement.getBoundingClientRect();
 
+    // Node coordinates are in viewport space; map them through the current zoom/pan transform
+    const transform = d3.zoomTransform(svgElement);
+    const [x, y] = transform.apply([nodeData.x, nodeData.y]);
+
     return {
-      x: svgRect.left + window.pageXOffset + nodeData.x + nodeRadius + 15,
-      y: svgRect.top + window.pageYOffset + nodeData.y - 10
+      x: svgRect.left + window.pageXOffset + x + nodeRadius * transform.k + 15,
+      y: svgRect.top + window.pageYOffset + y - 10
     };
   }
 
   _createTooltip() {
-    return d3
+    if (this._tooltip) return this._tooltip;
+
+    this._tooltip = d3
       .select("body")
       .append("div")
       .attr("class", "rra-tooltip")
@@ -312,11 +964,43 @@ export class RraGraph {
       .style("word-wrap", "break-word")
       .style("pointer-events", "auto")
       .style("z-index", "9999");
+    return this._tooltip;
+  }
+
+  _clearTooltipTimeout() {
+    if (this._tooltipTimeout) {
+      clearTimeout(this._tooltipTimeout);
+      this._tooltipTimeout = null;
+    }
+  }
+
+  // Remove everything this graph added to the page: its SVG content, the tooltip and live region
+  // in document.body, zoom listeners and pending timers.  The instance can't be rendered again.
+  destroy() {
+    this._clearTooltipTimeout();
+
+    if (this._tooltip) {
+      this._tooltip.interrupt().on("mouseover", null).on("mouseout", null).remove();
+      this._tooltip = null;
+    }
+    if (this._announcer) {
+      this._announcer.remove();
+      this._announcer = null;
+    }
+    if (this._svg) {
+      this._svg.interrupt().on(".zoom", null);
+      this._svg = null;
+    }
+
+    this._zoom = null;
+    this._viewport = null;
+    this._data = null;
+    this.clear();
   }
 
+  // nodeRadius is a function of the node's data, as nodes are sized by importance
   _setupTooltip(svg, nodeSelection, nodeRadius) {
     const tooltip = this._createTooltip();
-    let hideTimeout = null;
     let currentNodeId = null;
 
     const SHOW_DURATION = 200;
@@ -324,12 +1008,7 @@ export class RraGraph {
     const MOUSEOUT_DELAY = 300;
     const TOOLTIP_LEAVE_DELAY = 300;
 
-    const clearHideTimeout = () => {
-      if (hideTimeout) {
-        clearTimeout(hideTimeout);
-        hideTimeout = null;
-      }
-    };
+    const clearHideTimeout = () => this._clearTooltipTimeout();
 
     const hideTooltip = () => {
       tooltip
@@ -342,15 +1021,14 @@ export class RraGraph {
         });
     };
 
-    nodeSelection.on("mouseover", (event, d) => {
+    const showTooltip = (d) => {
       clearHideTimeout();
 
-      const content = this._buildTooltipContent(d);
-      tooltip.html(content);
+      this._renderTooltipContent(tooltip, d);
 
       // Position tooltip only if it's a different node
       if (currentNodeId !== d.id) {
-        const position = this._calculateTooltipPosition(svg, d, nodeRadius);
+        const position = this._calculateTooltipPosition(svg, d, nodeRadius(d));
         tooltip.style("left", position.x + "px").style("top", position.y + "px");
         currentNodeId = d.id;
       }
@@ -360,10 +1038,27 @@ export class RraGraph {
         .duration(SHOW_DURATION)
         .style("opacity", 0.9)
         .style("pointer-events", "auto");
+    };
+
+    nodeSelection.on("mouseover", (event, d) => showTooltip(d));
+
+    // Keyboard focus shows the same tooltip and has screen readers read its text
+    nodeSelection.on("focus", (event, d) => {
+      showTooltip(d);
+      this._getAnnouncer().text(tooltip.node().textContent);
+    });
+
+    nodeSelection.on("blur", () => {
+      clearHideTimeout();
+      hideTooltip();
+    });
+
+    nodeSelection.on("keydown.tooltip", (event) => {
+      if (event.key === "Escape") hideTooltip();
     });
 
     nodeSelection.on("mouseout", (event, d) => {
-      hideTimeout = setTimeout(() => {
+      this._tooltipTimeout = setTimeout(() => {
         const tooltipNode = tooltip.node();
         const currentTarget = event.currentTarget;
 
@@ -389,20 +1084,40 @@ export class RraGraph {
         // Only set hide timeout if tooltip is currently visible
         const currentOpacity = parseFloat(tooltip.style("opacity"));
         if (currentOpacity > 0) {
-          hideTimeout = setTimeout(hideTooltip, TOOLTIP_LEAVE_DELAY);
+          this._tooltipTimeout = setTimeout(hideTooltip, TOOLTIP_LEAVE_DELAY);
         }
       });
   }
 }
 
 export class GraphDataBuilder {
+  static DEFAULT_MAX_NODES = 8;
+  static OVERFLOW_NODE_ID = OVERFLOW_NODE_ID;
+
+  // Filters that keep every related entity, except those dismissed or flagged as incorrect (see
+  // FEEDBACK).  source is "all", "crm", "web" or "user" (added manually); entityType is "all",
+  // "person" or "organization"; the minimum scores are 0..1.
+  static DEFAULT_FILTERS = Object.freeze({
+    source: "all",
+    entityType: "all",
+    confirmedOnly: false,
+    minConfidence: 0,
+    minImportance: 0,
+    showDismissed: false
+  });
+
   envelope = null;
 
-  static _isValidAnchor(a) {
-    if (!a || typeof a !== "object") return false;
-    // entityName is the minimal requirement; everything else is optional
-    return !isBlank(a.entityName);
-  }
+  // Problems parsing the envelope: entries left out, or why there is nothing to draw (see
+  // parseEnvelope)
+  errors = [];
+
+  // Entries that the last build() combined with another node, from IdentityResolver.merges plus
+  // isSelfReference for entries that resolved to the anchor
+  mergeReport = [];
+
+  // Number of valid related entities the last build() left out because of its filters
+  filteredOutCount = 0;
 
   static _isValidRelated(r) {
     if (!r || typeof r !== "object") return false;
@@ -415,15 +1130,33 @@ export class GraphDataBuilder {
     return true;
   }
 
+  // Whether env parses, older schema versions included (see parseEnvelope), with at least one valid
+  // related entity to render
   static isValidEnvelope(env) {
-    if (!env || typeof env !== "object") return false;
-    if (env.schemaVersion !== "2") return false;
-    if (!GraphDataBuilder._isValidAnchor(env.anchorEntity)) return false;
-    if (!Array.isArray(env.relatedEntities)) return false;
+    return GraphDataBuilder._parse(env).envelope !== null;
+  }
+
+  static _parse(env) {
+    const { envelope, errors } = parseEnvelope(env);
+    return { envelope: envelope?.relatedEntities.length > 0 ? envelope : null, errors };
+  }
 
-    // Must contain at least one valid related entity to render anything meaningful
-    const hasValidRelated = env.relatedEntities.some(GraphDataBuilder._isValidRelated);
-    if (!hasValidRelated) return false;
+  // Whether a related entity passes the build() filters.  CRM-sourced entities count as confirmed,
+  // and entities without a score are treated as scoring 0.
+  static matchesFilters(rel, filters) {
+    const { source, entityType, confirmedOnly, minConfidence, minImportance, showDismissed } = {
+      ...GraphDataBuilder.DEFAULT_FILTERS,
+      ...filters
+    };
+    const relSource = rel.source === "crm" || rel.source === "user" ? rel.source : "web";
+    const relType = coalesce(rel.entityType, "organization").toLowerCase();
+
+    if (source !== "all" && source !== relSource) return false;
+    if (entityType !== "all" && entityType !== relType) return false;
+    if (confirmedOnly && !(rel.isCrmConfirmed || relSource === "crm")) return false;
+    if ((toScore(rel.confidenceScore) ?? 0) < (toScore(minConfidence) ?? 0)) return false;
+    if ((toScore(rel.importanceScore) ?? 0) < (toScore(minImportance) ?? 0)) return false;
+    if (!showDismissed && FEEDBACK[rel.feedback]?.isHidden) return false;
 
     return true;
   }
@@ -432,11 +1165,85 @@ export class GraphDataBuilder {
     return [a, b].sort().join("::");
   }
 
+  // The per-relationship evidence kept on nodes and links, one entry per envelope item
+  static _relationshipOf(rel) {
+    return {
+      uuid: rel.uuid || undefined,
+      predicate: rel.predicate.trim(),
+      source: rel.source || undefined,
+      confidenceScore: toScore(rel.confidenceScore),
+      importanceScore: toScore(rel.importanceScore),
+      context: rel.context || undefined,
+      citation: rel.citation || undefined,
+      citationURL: rel.citationURL || undefined,
+      feedback: rel.feedback || undefined,
+      feedbackReason: rel.feedbackReason || undefined
+    };
+  }
+
+  // Add a further relationship to an existing node/link pair.  The node and link share the same
+  // relationships array; scores keep the strongest value and CRM state is true if any entry has it.
+  static _mergeRelationship(node, link, rel, relationship) {
+    node.relationships.push(relationship);
+
+    node.isCrmLink = node.isCrmLink || rel.source === "crm" || rel.isCrmConfirmed;
+    node.isCrmConfirmed = node.isCrmConfirmed || rel.isCrmConfirmed || false;
+    node.recordId = node.recordId || rel.recordId || undefined;
+    node.recordType = node.recordType || rel.recordType || undefined;
+    node.isUserAdded = node.isUserAdded || rel.source === "user";
+    node.importanceScore = maxScore(node.importanceScore, relationship.importanceScore);
+    node.confidenceScore = maxScore(node.confidenceScore, relationship.confidenceScore);
+
+    if (link) {
+      link.isCrmLink = node.isCrmLink;
+      link.isUserAdded = node.isUserAdded;
+      link.confidenceScore = maxScore(link.confidenceScore, relationship.confidenceScore);
+    }
+  }
+
+  // Exposed for callers that limit or expand graph data themselves; see the module functions below.
+  static expandOverflow(graph) {
+    return expandOverflow(graph);
+  }
+
+  static applyNodeLimit(graph, maxNodes) {
+    return applyNodeLimit(graph, maxNodes);
+  }
+
+  // One row per relationship in build() output, overflow included (see relationshipRows)
+  static toRelationshipRows(graph) {
+    return relationshipRows(expandOverflow(graph));
+  }
+
+  // CSV (one row per relationship) and GraphML exports of build() output, overflow included
+  static toCsv(graph) {
+    return toCsv(expandOverflow(graph));
+  }
+
+  static toGraphML(graph) {
+    return toGraphML(expandOverflow(graph));
+  }
+
+  // Relationship feedback of an envelope, hidden relationships included (see toFeedbackJsonl)
+  static toFeedbackJsonl(envelope) {
+    return toFeedbackJsonl(envelope);
+  }
+
   constructor(envelope) {
-    this.envelope = GraphDataBuilder.isValidEnvelope(envelope) ? envelope : null;
+    ({ envelope: this.envelope, errors: this.errors } = GraphDataBuilder._parse(envelope));
   }
 
-  build({ recordId, recordType } = {}) {
+  // Build graph nodes and links from the envelope.  Related entities that fail `filters` (see
+  // matchesFilters) are left out; those beyond maxNodes collapse into an overflow node (see
+  // applyNodeLimit).  Pass maxNodes: null to keep every entity.
+  build({
+    recordId,
+    recordType,
+    maxNodes = GraphDataBuilder.DEFAULT_MAX_NODES,
+    filters = GraphDataBuilder.DEFAULT_FILTERS
+  } = {}) {
+    this.filteredOutCount = 0;
+
     if (!this.envelope) {
       return { nodes: [], links: [] };
     }
@@ -455,10 +1262,12 @@ export class GraphDataBuilder {
 
     const nodes = {};
     const links = {};
+    const resolver = new IdentityResolver();
+    const anchorId = resolver.resolve({ ...anchorEntity, recordId: anchorRecordId }).id;
 
     // Add special focus (anchor) node
-    nodes[anchorName] = {
-      id: anchorName,
+    nodes[anchorId] = {
+      id: anchorId,
       label: anchorLabel,
       isFocus: true,
       isCrmLink: true,
@@ -467,17 +1276,19 @@ export class GraphDataBuilder {
       recordType: anchorRecordType
     };
 
-    // Add related entities and one link per unique pair (limit to top 8 valid entities)
-    const maxNodes = 8;
-    let nodeCount = 0;
-    for (const rel of relatedEntities) {
+    // Add related entities and one link per unique pair, endorsed relationships first so they stay
+    // within the node limit
+    const isEndorsed = (r) => (r?.feedback === "endorsed" ? 1 : 0);
+    const ordered = [...relatedEntities].sort((a, b) => isEndorsed(b) - isEndorsed(a));
+    for (const rel of ordered) {
       if (!GraphDataBuilder._isValidRelated(rel)) {
         console.warn("Skipping invalid related entity", rel);
         continue;
       }
 
-      if (nodeCount >= maxNodes) {
-        break;
+      if (!GraphDataBuilder.matchesFilters(rel, filters)) {
+        this.filteredOutCount++;
+        continue;
       }
 
       const otherName = rel.entityName.trim();
@@ -485,64 +1296,133 @@ export class GraphDataBuilder {
         console.warn("Skipping relationship with blank entityName", rel);
       }
 
-      // TODO: do better than simply checking for name equality here; at the very least, also
-      // consider record ids/types.  Skipping for now.
-      if (otherName === anchorName) {
+      const { id: otherId } = resolver.resolve(rel);
+      if (otherId === anchorId) {
         console.warn(`Skipping self-referential relationship for ${anchorName}`, rel);
         continue;
       }
 
-      if (nodes[otherName]) {
-        console.warn(`Duplicate entityName "${otherName}", skipping`, rel);
+      const pairKey = GraphDataBuilder.keyForPair(anchorId, otherId);
+      const relationship = GraphDataBuilder._relationshipOf(rel);
+
+      // Another relationship to an entity we've already seen: fold it into the existing node and
+      // edge instead of drawing a second node
+      if (nodes[otherId]) {
+        GraphDataBuilder._mergeRelationship(nodes[otherId], links[pairKey], rel, relationship);
         continue;
       }
 
       const label = coalesce(rel.canonicalName, otherName);
       const entityType = coalesce(rel.entityType, "organization");
       const isCrmLink = rel.source === "crm" || rel.isCrmConfirmed;
+      const isUserAdded = rel.source === "user";
+      const relationships = [relationship];
 
-      nodes[otherName] = {
-        id: otherName,
+      nodes[otherId] = {
+        id: otherId,
         label,
         isFocus: false,
         entityType,
         isCrmLink,
+        isUserAdded,
         recordId: rel.recordId || undefined,
         recordType: rel.recordType || undefined,
         isCrmConfirmed: rel.isCrmConfirmed || false,
         source: rel.source || undefined,
+        predicate: rel.predicate.trim(),
+        confidenceScore: toScore(rel.confidenceScore),
+        importanceScore: toScore(rel.importanceScore),
         uuid: rel.uuid || undefined,
         context: rel.context || undefined,
         citation: rel.citation || undefined,
-        citationURL: rel.citationURL || undefined
+        citationURL: rel.citationURL || undefined,
+        relationships
       };
 
-      const pairKey = GraphDataBuilder.keyForPair(anchorName, otherName);
-      if (links[pairKey]) {
-        // Shouldn't happen due to the earlier check on node
-        console.warn(`Duplicate relationship for pair ${pairKey}, skipping`, rel);
-        continue;
-      }
-
       links[pairKey] = {
-        source: anchorName,
-        target: otherName,
-        isCrmLink
+        source: anchorId,
+        target: otherId,
+        isCrmLink,
+        isUserAdded,
+        predicate: rel.predicate.trim(),
+        confidenceScore: toScore(rel.confidenceScore),
+        citation: rel.citation || undefined,
+        citationURL: rel.citationURL || undefined,
+        relationships
       };
-
-      nodeCount++;
     }
 
-    return {
-      nodes: Object.values(nodes),
-      links: Object.values(links)
-    };
+    this.mergeReport = resolver.merges.map((m) => ({
+      ...m,
+      isSelfReference: m.id === anchorId
+    }));
+
+    return GraphDataBuilder.applyNodeLimit(
+      {
+        nodes: Object.values(nodes),
+        links: Object.values(links)
+      },
+      maxNodes
+    );
+  }
+}
+
+// Undo applyNodeLimit(): put the nodes and links held by the overflow node back into the graph.
+function expandOverflow({ nodes = [], links = [] }) {
+  const overflow = nodes.find((n) => n.isOverflow);
+  if (!overflow) return { nodes, links };
+
+  return {
+    nodes: [...nodes.filter((n) => n !== overflow), ...overflow.hiddenNodes],
+    links: [
+      ...links.filter((l) => l.source !== overflow.id && l.target !== overflow.id),
+      ...overflow.hiddenLinks
+    ]
+  };
+}
+
+// Keep the focus node plus the first maxNodes related nodes; collapse the rest, with their links,
+// into a single synthetic overflow node linked to the focus.  Idempotent: a graph that already
+// has an overflow node is expanded before the limit is applied again.
+function applyNodeLimit(graph, maxNodes) {
+  const { nodes, links } = expandOverflow(graph);
+  const focus = nodes.find((n) => n.isFocus);
+  const related = nodes.filter((n) => n !== focus);
+
+  if (maxNodes == null || related.length <= maxNodes) {
+    return { nodes, links };
+  }
+
+  const limit = Math.max(0, maxNodes);
+  const hiddenNodes = related.slice(limit);
+  const hiddenIds = new Set(hiddenNodes.map((n) => n.id));
+  const isHidden = (l) => hiddenIds.has(l.source) || hiddenIds.has(l.target);
+
+  const overflow = {
+    id: OVERFLOW_NODE_ID,
+    label: `+${hiddenNodes.length} more`,
+    isFocus: false,
+    isOverflow: true,
+    overflowCount: hiddenNodes.length,
+    hiddenNodes,
+    hiddenLinks: links.filter(isHidden)
+  };
+
+  const visibleLinks = links.filter((l) => !isHidden(l));
+  if (focus) {
+    visibleLinks.push({ source: focus.id, target: overflow.id, isOverflow: true });
   }
+
+  return {
+    nodes: [...(focus ? [focus] : []), ...related.slice(0, limit), overflow],
+    links: visibleLinks
+  };
 }
 
 // Measure text dimensions by rendering offscreen in an SVG element.
 // Assumes that web fonts have loaded and CSS is applied.
-// Returns { maxLabelWidth, labelHeight } based on actual text rendering.
+// Returns { maxLabelWidth, labelHeight, widths } based on actual text rendering, where widths holds
+// the width of each label in input order.
 function measureLabelMetrics(svg, labels, { labelClass = "node-label" } = {}) {
   // Create a temporary <text> that inherits the same CSS as your labels
   const meas = svg
@@ -553,6 +1433,7 @@ function measureLabelMetrics(svg, labels, { labelClass = "node-label" } = {}) {
     .attr("visibility", "hidden");
 
   let maxLabelWidth = 0;
+  const widths = [];
 
   // Height can be measured with any representative string
   meas.text("Ag");
@@ -562,11 +1443,20 @@ function measureLabelMetrics(svg, labels, { labelClass = "node-label" } = {}) {
   for (const t of labels) {
     meas.text(t);
     const w = meas.node().getComputedTextLength();
+    widths.push(w);
     if (w > maxLabelWidth) maxLabelWidth = w;
   }
 
   meas.remove();
-  return { maxLabelWidth, labelHeight };
+  return { maxLabelWidth, labelHeight, widths };
+}
+
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+function truncateText(t, maxChars) {
+  return t.length > maxChars ? t.slice(0, maxChars) + "…" : t;
 }
 
 function isBlank(v) {
@@ -583,3 +1473,34 @@ function coalesce(...v) {
   }
   return undefined;
 }
+
+function maxScore(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  return Math.max(a, b);
+}
+
+// Every predicate carried by a link, primary predicate first
+function getPredicates(link) {
+  if (link.relationships?.length > 0) {
+    return link.relationships.map((r) => r.predicate);
+  }
+  return link.predicate ? [link.predicate] : [];
+}
+
+// Allow-list URLs from research data: only absolute http/https URLs are linked
+export function safeUrl(v) {
+  if (isBlank(v)) return undefined;
+  try {
+    const url = new URL(v.trim());
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// A score from research data as a number, parsing numeric strings; undefined when there is none
+export function toScore(v) {
+  const n = typeof v === "string" ? parseFloat(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : undefined;
+}